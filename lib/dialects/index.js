@@ -0,0 +1,90 @@
+var path = require('path'),
+    _ = require('lodash'),
+    errors = require('../errors');
+
+var builtInDialects = {
+    mysql: require('./mysql'),
+    sqlite3: require('./sqlite3'),
+    pg: require('./pg')
+};
+
+var requiredFunctions = ['createDatabaseIfNotExist', 'drop', 'listTables', 'classifyError'];
+
+/**
+ * knex accepts several names for the same client.
+ */
+var clientAliases = {
+    mysql2: 'mysql',
+    postgres: 'pg',
+    postgresql: 'pg',
+    sqlite: 'sqlite3',
+    oracle: 'oracledb'
+};
+
+/**
+ * A dialect adapter encapsulates everything knex doesn't abstract for us.
+ *
+ * connectionDefaults(dbConfig)                     [optional] applies defaults to the knex config
+ * createDatabaseIfNotExist({dbConfig, connect})    creates the database, `connect` returns a knex instance
+ * drop({connection, dbConfig})                     removes all tables (or the database)
+ * listTables({connection, dbConfig})               resolves with the table names
+ * classifyError(err)                               returns DATABASE_NOT_SELECTED, DATABASE_NOT_FOUND,
+ *                                                  TABLE_NOT_FOUND, KEY_TOO_LONG or null
+ * transactionalDDL                                 [optional] false if DDL statements are committed implicitly
+ * requiredConnectionFields                         [optional] e.g. ['host|socketPath', 'database']
+ *
+ * You can pass your own adapter via `dialect` in your MigratorConfig.js.
+ * A string is resolved relative to the MigratorConfig.js.
+ */
+/**
+ * mysql2 -> mysql, postgres -> pg
+ *
+ * Dialect variants, `exports.dialects` and `-- dialect:` headers are matched by this name.
+ */
+exports.getClientName = function getClientName(client) {
+    return clientAliases[client] || client;
+};
+
+exports.isSupported = function isSupported(client) {
+    return _.has(builtInDialects, client);
+};
+
+exports.getDialect = function getDialect(options) {
+    options = options || {};
+
+    var adapter = options.adapter,
+        basePath = options.basePath || process.cwd();
+
+    if (!adapter) {
+        if (!builtInDialects[options.client]) {
+            throw new errors.KnexMigrateError({
+                message: 'Database client not supported: ' + options.client,
+                help: 'Please pass a dialect adapter in your MigratorConfig.js.'
+            });
+        }
+
+        return builtInDialects[options.client];
+    }
+
+    if (_.isString(adapter)) {
+        try {
+            adapter = require(adapter.match(/^\./) ? path.resolve(basePath, adapter) : adapter);
+        } catch (err) {
+            throw new errors.KnexMigrateError({
+                message: 'Cannot load dialect adapter: ' + adapter,
+                err: err
+            });
+        }
+    }
+
+    _.each(requiredFunctions, function (fn) {
+        if (!_.isFunction(adapter[fn])) {
+            throw new errors.KnexMigrateError({
+                message: 'Dialect adapter needs to implement: ' + fn,
+                help: 'Read through the README.md to see which functions are expected.'
+            });
+        }
+    });
+
+    return adapter;
+};
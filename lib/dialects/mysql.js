@@ -0,0 +1,101 @@
+var Promise = require('bluebird'),
+    debug = require('debug')('knex-migrator:dialects:mysql'),
+    errors = require('../errors');
+
+/**
+ * MySQL commits DDL statements implicitly.
+ */
+exports.transactionalDDL = false;
+
+exports.requiredConnectionFields = ['host|socketPath', 'user', 'database'];
+
+exports.connectionDefaults = function connectionDefaults(dbConfig) {
+    dbConfig.connection.timezone = dbConfig.connection.timezone || 'UTC';
+    dbConfig.connection.charset = dbConfig.connection.charset || 'utf8mb4';
+};
+
+exports.createDatabaseIfNotExist = function createDatabaseIfNotExist(options) {
+    var dbConfig = options.dbConfig,
+        name = dbConfig.connection.database,
+        charset = dbConfig.connection.charset || 'utf8mb4';
+
+    // connect without database selected
+    var connection = options.connect({
+        client: dbConfig.client,
+        connection: {
+            host: dbConfig.connection.host,
+            port: dbConfig.connection.port,
+            user: dbConfig.connection.user,
+            password: dbConfig.connection.password
+        }
+    });
+
+    return connection.raw('CREATE DATABASE `' + name + '` CHARACTER SET ' + charset + ';')
+        .catch(function (err) {
+            // CASE: DB exists
+            if (err.errno === 1007) {
+                return Promise.resolve();
+            }
+
+            throw new errors.KnexMigrateError({
+                err: err,
+                code: 'DATABASE_CREATION_FAILED'
+            });
+        })
+        .finally(function () {
+            return new Promise(function (resolve, reject) {
+                connection.destroy(function (err) {
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    resolve();
+                });
+            });
+        });
+};
+
+exports.drop = function drop(options) {
+    var connection = options.connection,
+        dbConfig = options.dbConfig;
+
+    debug('Drop database: ' + dbConfig.connection.database);
+    return connection.raw('DROP DATABASE `' + dbConfig.connection.database + '`;')
+        .catch(function (err) {
+            // CASE: database does not exist, skip
+            if (err.errno === 1049) {
+                return Promise.resolve();
+            }
+
+            return Promise.reject(new errors.KnexMigrateError({
+                err: err
+            }));
+        });
+};
+
+exports.listTables = function listTables(options) {
+    return options.connection.raw('SELECT table_name AS name FROM information_schema.tables WHERE table_schema = ?;', [
+        options.dbConfig.connection.database
+    ]).then(function (result) {
+        return result[0].map(function (table) {
+            return table.name;
+        });
+    });
+};
+
+exports.classifyError = function classifyError(err) {
+    switch (err.errno) {
+        case 1046:
+            return 'DATABASE_NOT_SELECTED';
+        case 1049:
+            return 'DATABASE_NOT_FOUND';
+        case 1146:
+            return 'TABLE_NOT_FOUND';
+    }
+
+    if (err.code === 'ER_TOO_LONG_KEY') {
+        return 'KEY_TOO_LONG';
+    }
+
+    return null;
+};
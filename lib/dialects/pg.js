@@ -0,0 +1,125 @@
+var Promise = require('bluebird'),
+    _ = require('lodash'),
+    debug = require('debug')('knex-migrator:dialects:pg'),
+    errors = require('../errors');
+
+exports.transactionalDDL = true;
+
+exports.requiredConnectionFields = ['database'];
+
+exports.connectionDefaults = function connectionDefaults(dbConfig) {
+    dbConfig.searchPath = dbConfig.searchPath || dbConfig.connection.schema;
+};
+
+/**
+ * The tables live in a schema, default is public.
+ */
+exports.getSchema = function getSchema(dbConfig) {
+    return dbConfig.searchPath || dbConfig.connection.schema || 'public';
+};
+
+/**
+ * There is no "CREATE DATABASE IF NOT EXISTS", we connect to the maintenance database and ignore the duplicate error.
+ * The schema is created as well, because knex only sets the search path.
+ */
+exports.createDatabaseIfNotExist = function createDatabaseIfNotExist(options) {
+    var dbConfig = options.dbConfig,
+        name = dbConfig.connection.database,
+        schema = exports.getSchema(dbConfig),
+        connection = options.connect({
+            client: dbConfig.client,
+            connection: {
+                host: dbConfig.connection.host,
+                port: dbConfig.connection.port,
+                user: dbConfig.connection.user,
+                password: dbConfig.connection.password,
+                database: 'postgres'
+            }
+        });
+
+    return connection.raw('CREATE DATABASE ' + connection.client.wrapIdentifier(name) + ';')
+        .catch(function (err) {
+            // CASE: DB exists
+            if (err.code === '42P04') {
+                return Promise.resolve();
+            }
+
+            throw new errors.KnexMigrateError({
+                err: err,
+                code: 'DATABASE_CREATION_FAILED'
+            });
+        })
+        .finally(function () {
+            return connection.destroy();
+        })
+        .then(function () {
+            if (schema === 'public') {
+                return;
+            }
+
+            connection = options.connect({
+                client: dbConfig.client,
+                connection: dbConfig.connection
+            });
+
+            return connection.raw('CREATE SCHEMA IF NOT EXISTS ' + connection.client.wrapIdentifier(schema) + ';')
+                .catch(function (err) {
+                    throw new errors.KnexMigrateError({
+                        err: err,
+                        code: 'DATABASE_CREATION_FAILED'
+                    });
+                })
+                .finally(function () {
+                    return connection.destroy();
+                });
+        });
+};
+
+/**
+ * We can't drop the database we are connected to.
+ * We only drop the tables of the configured schema, other schemas stay untouched.
+ */
+exports.drop = function drop(options) {
+    var connection = options.connection,
+        schema = exports.getSchema(options.dbConfig);
+
+    return exports.listTables(options)
+        .then(function (tables) {
+            return Promise.each(tables, function (table) {
+                debug('Drop table: ' + schema + '.' + table);
+
+                return connection.raw('DROP TABLE IF EXISTS ' +
+                    connection.client.wrapIdentifier(schema) + '.' +
+                    connection.client.wrapIdentifier(table) + ' CASCADE;');
+            });
+        })
+        .catch(function (err) {
+            // CASE: database does not exist, skip
+            if (err.code === '3D000') {
+                return Promise.resolve();
+            }
+
+            return Promise.reject(new errors.KnexMigrateError({
+                err: err
+            }));
+        });
+};
+
+exports.listTables = function listTables(options) {
+    return options.connection.raw('SELECT tablename FROM pg_tables WHERE schemaname = ?;', [
+        exports.getSchema(options.dbConfig)
+    ]).then(function (result) {
+        return _.map(result.rows, 'tablename');
+    });
+};
+
+exports.classifyError = function classifyError(err) {
+    switch (err.code) {
+        case '3D000':
+            return 'DATABASE_NOT_FOUND';
+        case '42P01':
+            return 'TABLE_NOT_FOUND';
+    }
+
+    return null;
+};
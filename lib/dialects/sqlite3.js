@@ -0,0 +1,61 @@
+var Promise = require('bluebird'),
+    _ = require('lodash'),
+    debug = require('debug')('knex-migrator:dialects:sqlite3'),
+    errors = require('../errors');
+
+exports.transactionalDDL = true;
+
+exports.requiredConnectionFields = ['filename'];
+
+exports.connectionDefaults = function connectionDefaults(dbConfig) {
+    dbConfig.useNullAsDefault = dbConfig.useNullAsDefault || false;
+};
+
+/**
+ * The database file is created on connect.
+ */
+exports.createDatabaseIfNotExist = function createDatabaseIfNotExist() {
+    return Promise.resolve();
+};
+
+/**
+ * We can't delete the db file.
+ * Any existing database connection to this file will be invalid.
+ */
+exports.drop = function drop(options) {
+    var connection = options.connection;
+
+    return exports.listTables(options)
+        .then(function (tables) {
+            return Promise.each(tables, function (table) {
+                debug('Drop table: ' + table);
+                return connection.schema.dropTableIfExists(table);
+            });
+        })
+        .catch(function (err) {
+            // CASE: database file was never initialised
+            if (err.errno === 10) {
+                return Promise.resolve();
+            }
+
+            return Promise.reject(new errors.KnexMigrateError({
+                err: err
+            }));
+        });
+};
+
+exports.listTables = function listTables(options) {
+    return options.connection.raw('SELECT name FROM sqlite_master WHERE type="table";')
+        .then(function (tables) {
+            return _.without(_.map(tables, 'name'), 'sqlite_sequence');
+        });
+};
+
+exports.classifyError = function classifyError(err) {
+    // CASE: sqlite reports a missing table as generic error (SQLITE_ERROR)
+    if (err.errno === 1 && err.message.match(/no such table/)) {
+        return 'TABLE_NOT_FOUND';
+    }
+
+    return null;
+};
@@ -27,6 +27,23 @@ var knexMigratorErrors = {
             id: 300,
             errorType: 'MigrationScript'
         }, options));
+    },
+    MigrationsAreLockedError: function MigrationsAreLockedError(options) {
+        KnexMigrateError.call(this, _.merge({
+            id: 400,
+            errorType: 'MigrationsAreLockedError',
+            code: 'MIGRATIONS_ARE_LOCKED',
+            help: 'Another knex-migrator process is running. If you are sure that no other process is running, use knex-migrator unlock.'
+        }, options));
+    },
+    ConfigValidationError: function ConfigValidationError(options) {
+        KnexMigrateError.call(this, _.merge({
+            id: 500,
+            errorType: 'ConfigValidationError',
+            code: 'CONFIG_INVALID',
+            message: 'MigratorConfig.js is invalid.',
+            help: 'Read through the README.md to see which values are expected.'
+        }, options));
     }
 };
 
@@ -0,0 +1,6 @@
+/**
+ * Dynamic import lives in it's own file, older node versions can't parse it.
+ */
+module.exports = function importModule(specifier) {
+    return import(specifier);
+};
@@ -1,24 +1,89 @@
 var _ = require('lodash');
 var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var crypto = require('crypto');
 var Promise = require('bluebird');
 var debug = require('debug')('knex-migrator:index');
 var database = require('./database');
+var dialects = require('./dialects');
+var configuration = require('./config');
 var utils = require('./utils');
 var errors = require('./errors');
 var logging = require('../logging');
+var pkg = require('../package.json');
 
+var MIGRATIONS_LOCK_KEY = 'km01';
+
+/**
+ * Names, which can't be used as function name of a migration script (including strict mode).
+ */
+var RESERVED_WORDS = [
+    'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function',
+    'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+    'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+    'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+];
+
+/**
+ * Columns, which were added to the migrations table after the first release.
+ * Existing migrations tables get upgraded in place.
+ */
+var MIGRATIONS_TABLE_COLUMNS = {
+    checksum: function (table) {
+        table.string('checksum');
+    },
+    executed_at: function (table) {
+        table.dateTime('executed_at').nullable();
+    },
+    duration_ms: function (table) {
+        table.integer('duration_ms').nullable();
+    },
+    batch: function (table) {
+        table.integer('batch').nullable();
+    },
+    knex_migrator_version: function (table) {
+        table.string('knex_migrator_version').nullable();
+    }
+};
+
+/**
+ * Emits the progress of init and migrate:
+ *
+ * version:start    {version, tasks}
+ * task:start       {version, name}
+ * task:end         {version, name, duration}
+ * task:skip        {version, name}
+ * task:error       {version, name, err}
+ * version:skip     {version, reason}
+ * hook:<name>      {command, version, name}, e.g. hook:before or hook:afterEach
+ * done             summary of init or migrate, see createSummary
+ */
 function KnexMigrator(options) {
     options = options || {};
 
+    EventEmitter.call(this);
+
     var config,
-        knexMigratorFilePath = options.knexMigratorFilePath || process.cwd();
+        knexMigratorFilePath = path.resolve(options.knexMigratorFilePath || process.cwd()),
+        knexMigratorConfigPath = path.join(knexMigratorFilePath, '/MigratorConfig.js');
+
+    // CASE: knexMigratorFilePath points to a config file instead of the folder of your MigratorConfig.js
+    if (path.extname(knexMigratorFilePath).match(/^\.(js|json)$/)) {
+        knexMigratorConfigPath = knexMigratorFilePath;
+        knexMigratorFilePath = path.dirname(knexMigratorFilePath);
+    }
 
     try {
-        config = require(path.join(knexMigratorFilePath, '/MigratorConfig.js'));
+        config = require(knexMigratorConfigPath);
     } catch (err) {
-        if (err.code === 'MODULE_NOT_FOUND') {
+        if (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf(knexMigratorConfigPath) !== -1) {
             throw new errors.KnexMigrateError({
                 message: 'Please provide a file named MigratorConfig.js in your project root.',
+                context: 'Cannot find config file: ' + knexMigratorConfigPath,
+                code: 'CONFIG_NOT_FOUND',
                 help: 'Read through the README.md to see which values are expected.'
             });
         }
@@ -26,26 +91,76 @@ function KnexMigrator(options) {
         throw new errors.KnexMigrateError({err: err});
     }
 
-    if (!config.database) {
-        throw new Error('MigratorConfig.js needs to export a database config.');
-    }
-
-    if (!config.migrationPath) {
-        throw new Error('MigratorConfig.js needs to export the location of your migration files.');
-    }
+    config = configuration.resolve(config, {env: options.env});
 
-    if (!config.currentVersion) {
-        throw new Error('MigratorConfig.js needs to export the a current version.');
-    }
+    configuration.validate(config, {
+        basePath: knexMigratorFilePath,
+        requireMigrationFolders: options.requireMigrationFolders
+    });
 
+    this.config = config;
     this.currentVersion = config.currentVersion;
     this.migrationPath = config.migrationPath;
     this.subfolder = config.subfolder || 'versions';
 
-    // @TODO: make test connection to database to ensure database credentials are OK
+    // CASE: e.g. register ts-node to execute .ts migration scripts
+    this.extensions = utils.registerCompiler({
+        compiler: config.compiler,
+        basePath: knexMigratorFilePath
+    });
+
+    this.transactionMode = config.transactionMode || 'all';
+    this.checksumMode = config.checksumMode || 'warn';
+
+    // CASE: wait max. 60 seconds for the migration lock, stale locks are not overridden by default
+    this.lockOptions = _.defaults({}, config.lock, {
+        timeout: 60 * 1000,
+        retryInterval: 1000,
+        staleTimeout: null
+    });
+
+    // NOTE: use knexMigrator.testConnection() to ensure database credentials are OK
     this.dbConfig = config.database;
+
+    this.dialect = dialects.getDialect({
+        client: this.dbConfig.client,
+        adapter: config.dialect,
+        basePath: knexMigratorFilePath
+    });
 }
 
+util.inherits(KnexMigrator, EventEmitter);
+
+/**
+ * Connects to the database to ensure the database credentials are OK.
+ * A database, which does not exist yet, is fine. knex-migrator init creates it.
+ */
+KnexMigrator.prototype.testConnection = function testConnection() {
+    var self = this,
+        connection = database.connect(this.dbConfig, this.dialect);
+
+    return connection.raw('SELECT 1;')
+        .catch(function (err) {
+            if (self.dialect.classifyError(err) === 'DATABASE_NOT_FOUND') {
+                return;
+            }
+
+            throw new errors.ConfigValidationError({
+                message: 'Cannot connect to the database.',
+                context: 'database.connection: ' + err.message,
+                errorDetails: [{
+                    property: 'database.connection',
+                    message: err.message
+                }],
+                err: err
+            });
+        })
+        .finally(function () {
+            debug('Destroy connection');
+            return connection.destroy();
+        });
+};
+
 /**
  * knex-migrator init
  */
@@ -55,32 +170,42 @@ KnexMigrator.prototype.init = function init(options) {
     var self = this,
         disableHooks = options.disableHooks,
         noScripts = options.noScripts,
-        hooks = {};
+        summary = createSummary(this, {command: 'init'}),
+        state = {},
+        hasLock = false,
+        hooks = disableHooks ? {} : this.getHooks('init');
 
-    try {
-        if (!disableHooks) {
-            hooks = require(path.join(self.migrationPath, '/hooks/init'));
-        }
-    } catch (err) {
-        debug('Hook Error: ' + err.message);
-        debug('No hooks found, no problem.');
-    }
+    this.connection = database.connect(this.dbConfig, this.dialect);
 
-    this.connection = database.connect(this.dbConfig);
+    return database.createDatabaseIfNotExist(this.dbConfig, this.dialect)
+        .then(function () {
+            if (noScripts) {
+                return;
+            }
 
-    return database.createDatabaseIfNotExist(this.dbConfig)
+            return self.acquireLock()
+                .then(function () {
+                    hasLock = true;
+                });
+        })
         .then(function () {
+            var transactionPerTask;
+
             if (noScripts) {
                 return;
             }
 
-            return self.createTransaction(function executeTasks(transacting) {
+            function executeTasks(transacting) {
                 return new Promise(function (resolve, reject) {
                     if (hooks.before) {
                         debug('Before hook');
-                        return hooks.before({
-                            transacting: transacting
-                        }).then(resolve).catch(reject);
+                        self.emit('hook:before', {command: 'init'});
+
+                        return hooks.before(self.createContext({
+                            command: 'init',
+                            transacting: transacting,
+                            state: state
+                        })).then(resolve).catch(reject);
                     }
 
                     resolve();
@@ -88,30 +213,71 @@ KnexMigrator.prototype.init = function init(options) {
                     return self.createMigrationsTable({
                         transacting: transacting
                     });
-                }).then(function executeMigrate() {
+                }).then(function () {
+                    return self.getNextBatch({
+                        transacting: transacting
+                    });
+                }).then(function executeMigrate(batch) {
                     return self.migrateTo({
+                        command: 'init',
                         version: 'init',
+                        state: state,
                         transacting: transacting,
+                        transactionPerTask: transactionPerTask,
+                        batch: batch,
                         only: options.only,
                         skip: options.skip
                     })
                 }).then(function executeAfterHook() {
                     if (hooks.after) {
                         debug('After hook');
-                        return hooks.after({
-                            transacting: transacting
-                        });
+                        self.emit('hook:after', {command: 'init'});
+
+                        return hooks.after(self.createContext({
+                            command: 'init',
+                            transacting: transacting,
+                            state: state
+                        }));
                     }
+                }).catch(function executeOnErrorHook(err) {
+                    return self.executeOnErrorHook({
+                        hooks: hooks,
+                        command: 'init',
+                        transacting: transacting,
+                        state: state,
+                        err: err
+                    });
                 });
-            });
+            }
+
+            transactionPerTask = self.isTransactionPerTask({versions: ['init']});
+
+            // CASE: each task is executed and recorded in it's own transaction
+            if (transactionPerTask) {
+                return executeTasks(self.connection);
+            }
+
+            return self.createTransaction(executeTasks);
         })
         .then(function onInitSuccess() {
             debug('Init Success');
+
+            var result = summary.end();
+            self.emit('done', result);
+            return result;
         })
         .catch(function onInitError(err) {
             debug('Rolling back: ' + err.message);
+            summary.end();
             return Promise.reject(err);
         })
+        .finally(function () {
+            if (!hasLock) {
+                return;
+            }
+
+            return self.releaseLock();
+        })
         .finally(function () {
             debug('Destroy connection');
             return self.connection.destroy()
@@ -127,6 +293,8 @@ KnexMigrator.prototype.init = function init(options) {
  * knex-migrator migrate --v v1.1 --force
  * knex-migrator migrate --v v1.1 --only 2
  * knex-migrator migrate --v v1.1 --skip 3
+ * knex-migrator migrate --dry-run
+ * knex-migrator migrate --accept-changes
  *
  * Not Allowed:
  * knex-migrator migrate --skip 3
@@ -138,11 +306,30 @@ KnexMigrator.prototype.init = function init(options) {
  */
 KnexMigrator.prototype.migrate = function migrate(options) {
     options = options || {};
+
+    // CASE: e.g. MySQL commits DDL statements implicitly, a dry run would change the schema without recording it
+    // NOTE: refuse before the summary listens to the events of this instance
+    if (options.dryRun && this.dialect.transactionalDDL === false && !options.allowUnsafeDryRun) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: this.dbConfig.client + ' commits DDL statements implicitly, they can\'t be rolled back after a dry run.',
+            code: 'DRY_RUN_NOT_SUPPORTED',
+            help: 'Use --allow-unsafe-dry-run against a copy of your database.'
+        }));
+    }
+
     var self = this,
         onlyVersion = options.version,
         onlyFile = options.only,
         force = options.force,
-        hooks = {};
+        acceptChanges = options.acceptChanges,
+        dryRun = options.dryRun,
+        dryRunResult = [],
+        dryRunRollback = new Error('Dry run'),
+        summary = createSummary(this, {command: 'migrate', dryRun: dryRun}),
+        state = {},
+        hasLock = false,
+        // CASE: hooks are not executed in dry run mode
+        hooks = dryRun ? {} : this.getHooks('migrate');
 
     if (onlyFile && !onlyVersion) {
         onlyFile = null;
@@ -152,22 +339,30 @@ KnexMigrator.prototype.migrate = function migrate(options) {
         debug('onlyVersion: ' + onlyVersion);
     }
 
-    try {
-        hooks = require(path.join(self.migrationPath, '/hooks/migrate'));
-    } catch (err) {
-        debug('Hook Error: ' + err.message);
-        debug('No hooks found, no problem.');
-    }
-
-    this.connection = database.connect(this.dbConfig);
-
-    return self.createTransaction(function executeTasks(transacting) {
-        var versionsToMigrate = [];
+    this.connection = database.connect(this.dbConfig, this.dialect);
 
-        return self.integrityCheck({
-            transacting: transacting,
-            force: force
+    /**
+     * Upgrades the migrations table, accepts changes and returns the versions to migrate.
+     * In dry run mode, this happens in the dry run transaction and is rolled back as well.
+     */
+    function prepare(localDatabase) {
+        return self.upgradeMigrationsTable({
+            transacting: localDatabase
+        }).then(function () {
+            if (acceptChanges) {
+                return self.acceptChanges({
+                    transacting: localDatabase
+                });
+            }
+        }).then(function () {
+            // CASE: we hold the lock, no other process can modify the migrations table in the meantime
+            return self.integrityCheck({
+                force: force,
+                transacting: localDatabase
+            });
         }).then(function (result) {
+            var versionsToMigrate = [];
+
             _.each(result, function (value, version) {
                 if (onlyVersion && version !== onlyVersion) {
                     debug('Do not execute: ' + version);
@@ -188,45 +383,151 @@ KnexMigrator.prototype.migrate = function migrate(options) {
                     versionsToMigrate.push(version);
                 }
             });
-        }).then(function executeBeforeHook() {
-            if (!versionsToMigrate.length) {
-                return;
-            }
 
+            // CASE: never rely on the order of the folders on disk
+            return utils.sortVersions(versionsToMigrate);
+        });
+    }
+
+    function executeTasks(options) {
+        var transacting = options.transacting,
+            versionsToMigrate = options.versions,
+            transactionPerTask = options.transactionPerTask,
+            batch;
+
+        return self.getNextBatch({
+            transacting: transacting
+        }).then(function (nextBatch) {
+            batch = nextBatch;
+        }).then(function executeBeforeHook() {
             if (hooks.before) {
                 debug('Before hook');
-                return hooks.before({
-                    transacting: transacting
-                });
+                self.emit('hook:before', {command: 'migrate'});
+
+                return hooks.before(self.createContext({
+                    command: 'migrate',
+                    transacting: transacting,
+                    state: state
+                }));
             }
         }).then(function executeMigrations() {
-            if (!versionsToMigrate.length) {
-                return;
-            }
-
             return Promise.each(versionsToMigrate, function (versionToMigrate) {
                 return self.migrateTo({
+                    command: 'migrate',
                     version: versionToMigrate,
+                    state: state,
                     transacting: transacting,
+                    transactionPerTask: transactionPerTask,
+                    dryRun: dryRun,
+                    batch: batch,
                     only: onlyFile,
                     hooks: hooks
+                }).then(function (executedTasks) {
+                    dryRunResult = dryRunResult.concat(executedTasks);
                 });
             });
         }).then(function executeAfterHook() {
+            if (hooks.after) {
+                debug('After hook');
+                self.emit('hook:after', {command: 'migrate'});
+
+                return hooks.after(self.createContext({
+                    command: 'migrate',
+                    transacting: transacting,
+                    state: state
+                }));
+            }
+        }).catch(function executeOnErrorHook(err) {
+            return self.executeOnErrorHook({
+                hooks: hooks,
+                command: 'migrate',
+                transacting: transacting,
+                state: state,
+                err: err
+            });
+        });
+    }
+
+    return self.acquireLock().then(function () {
+        hasLock = true;
+
+        // CASE: execute all tasks in one transaction and roll back, nothing is written to the migrations table
+        if (dryRun) {
+            if (self.dialect.transactionalDDL === false) {
+                logging.warn(self.dbConfig.client + ' commits DDL statements implicitly, they can\'t be rolled back after a dry run!');
+            }
+
+            return self.createTransaction(function (transacting) {
+                return prepare(transacting)
+                    .then(function (versionsToMigrate) {
+                        if (!versionsToMigrate.length) {
+                            return;
+                        }
+
+                        return executeTasks({
+                            transacting: transacting,
+                            versions: versionsToMigrate
+                        });
+                    })
+                    .then(function () {
+                        throw dryRunRollback;
+                    });
+            }).catch(function (err) {
+                if (err !== dryRunRollback) {
+                    throw err;
+                }
+
+                debug('Rolled back dry run');
+            });
+        }
+
+        return prepare().then(function (versionsToMigrate) {
+            var transactionPerTask;
+
             if (!versionsToMigrate.length) {
                 return;
             }
 
-            if (hooks.after) {
-                debug('After hook');
-                return hooks.after({
-                    transacting: transacting
+            transactionPerTask = self.isTransactionPerTask({versions: versionsToMigrate});
+
+            // CASE: each task is executed and recorded in it's own transaction, a rerun continues with the failed task
+            if (transactionPerTask) {
+                return executeTasks({
+                    transacting: self.connection,
+                    versions: versionsToMigrate,
+                    transactionPerTask: transactionPerTask
                 });
             }
-        })
+
+            return self.createTransaction(function (transacting) {
+                return executeTasks({
+                    transacting: transacting,
+                    versions: versionsToMigrate
+                });
+            });
+        });
+    }).then(function () {
+        var result = summary.end();
+
+        // CASE: remember the SQL statements of each task
+        if (dryRun) {
+            _.each(result.executed, function (task) {
+                task.statements = _.find(dryRunResult, {version: task.version, name: task.name}).statements;
+            });
+        }
+
+        self.emit('done', result);
+        return result;
     }).catch(function (err) {
         debug('Rolling back: ' + err.message);
+        summary.end();
         return Promise.reject(err);
+    }).finally(function () {
+        if (!hasLock) {
+            return;
+        }
+
+        return self.releaseLock();
     }).finally(function () {
         debug('Destroy connection');
         return self.connection.destroy()
@@ -239,32 +540,24 @@ KnexMigrator.prototype.migrate = function migrate(options) {
 /**
  * migrate to v1.1
  * migrate to init
+ *
+ * In dry run mode, it resolves with the executed SQL statements per task.
  */
 KnexMigrator.prototype.migrateTo = function migrateTo(options) {
     options = options || {};
 
     var self = this,
+        command = options.command || 'migrate',
         version = options.version,
+        state = options.state || {},
         transacting = options.transacting,
+        transactionPerTask = options.transactionPerTask,
+        dryRun = options.dryRun,
+        batch = options.batch,
         hooks = options.hooks || {},
         only = options.only || null,
         skip = options.skip || null,
-        subfolder = this.subfolder,
-        tasks = [];
-
-    if (version !== 'init') {
-        tasks = utils.readTasks(path.join(self.migrationPath, subfolder, version));
-    } else {
-        try {
-            tasks = utils.readTasks(path.join(self.migrationPath, version));
-        } catch (err) {
-            if (err.code === 'MIGRATION_PATH') {
-                tasks = [];
-            } else {
-                throw err;
-            }
-        }
-    }
+        tasks = self.getTasks(version);
 
     if (only !== null) {
         debug('only: ' + only);
@@ -277,41 +570,28 @@ KnexMigrator.prototype.migrateTo = function migrateTo(options) {
     debug('Migrate: ' + version + ' with ' + tasks.length + ' tasks.');
     debug('Tasks: ' + JSON.stringify(tasks));
 
-    return Promise.each(tasks, function executeTask(task) {
-        return self.beforeEachTask({
-            transacting: transacting,
-            task: task.name,
-            version: version
-        }).then(function () {
-            if (hooks.beforeEach) {
-                return hooks.beforeEach({
-                    transacting: transacting
-                });
-            }
-        }).then(function () {
-            debug('Running:' + task.name);
+    self.emit('version:start', {
+        version: version,
+        tasks: tasks.length
+    });
 
-            return task.execute({
-                transacting: transacting
-            });
-        }).then(function () {
-            return self.afterEachTask({
-                transacting: transacting,
+    function executeTask(task, transacting) {
+        var statements = [],
+            afterEachCalled = false,
+            context = self.createContext({
+                command: command,
+                version: version,
                 task: task.name,
-                version: version
-            });
-        }).then(function () {
-            if (hooks.afterEach) {
-                return hooks.afterEach({
-                    transacting: transacting
-                });
-            }
-        }).catch(function (err) {
-            if (err instanceof errors.MigrationExistsError) {
-                debug('Skipping:' + task.name);
-                return Promise.resolve();
-            }
+                transacting: transacting,
+                state: state
+            }),
+            executedAt;
+
+        function onQuery(query) {
+            statements.push(transacting.raw(query.sql, query.bindings || []).toString());
+        }
 
+        function getMigrationScriptError(err) {
             /**
              * When your database encoding is set to utf8mb4 and you set a field length > 191 characters,
              * MySQL will throw an error, BUT it won't roll back the changes, because ALTER/CREATE table commands are
@@ -320,99 +600,1106 @@ KnexMigrator.prototype.migrateTo = function migrateTo(options) {
              * https://bugs.mysql.com/bug.php?id=28727
              * https://github.com/TryGhost/knex-migrator/issues/51
              */
-            if (err.code === 'ER_TOO_LONG_KEY') {
+            if (self.dialect.classifyError(err) === 'KEY_TOO_LONG') {
                 var match = err.message.match(/`\w+`/g);
                 var table = match[0];
                 var field = match[2];
 
-                throw new errors.MigrationScript({
+                return new errors.MigrationScript({
                     message: 'Field length of %field% in %table% is too long!'.replace('%field%', field).replace('%table%', table),
                     context: 'This usually happens if your database encoding is utf8mb4.\n' +
                     'All unique fields and indexes must be lower than 191 characters.\n' +
                     'Please correct your field length and reset your database with knex-migrator reset.\n',
                     help: 'Read more here: https://github.com/TryGhost/knex-migrator/issues/51\n',
+                    errorDetails: {version: version, task: task.name},
                     err: err
                 });
             }
 
-            throw new errors.MigrationScript({
+            return new errors.MigrationScript({
                 message: err.message,
                 help: 'Error occurred while executing the following migration: ' + task.name,
+                errorDetails: {version: version, task: task.name},
                 err: err
             });
-        });
-    });
-};
+        }
 
-/**
- * will delete the target database
- *
- * @TODO:
- * - think about deleting only the tables
- * - move to database
- */
-KnexMigrator.prototype.reset = function reset() {
-    var self = this;
+        return self.beforeEachTask({
+            transacting: transacting,
+            task: task.name,
+            version: version
+        }).then(function () {
+            if (hooks.beforeEach) {
+                self.emit('hook:beforeEach', {command: command, version: version, name: task.name});
 
-    this.connection = database.connect(this.dbConfig);
+                return hooks.beforeEach(context);
+            }
+        }).then(function () {
+            debug('Running:' + task.name);
+            executedAt = new Date();
 
-    return database.drop({
-        connection: this.connection,
-        dbConfig: this.dbConfig
-    }).catch(function onRestError(err) {
-        debug('Reset error: ' + err.message);
-        return Promise.reject(err);
-    }).finally(function () {
-        debug('Destroy connection');
-        return self.connection.destroy()
-            .then(function () {
-                debug('Destroyed connection');
+            self.emit('task:start', {
+                version: version,
+                name: task.name
             });
-    });
-};
-
-KnexMigrator.prototype.createMigrationsTable = function createMigrationsTable(options) {
-    options = options || {};
-
-    var localDatabase = options.transacting,
-        self = this;
 
-    return (localDatabase || this.connection)('migrations')
-        .catch(function (err) {
-            // CASE: table does not exist
-            if (err.errno === 1 || err.errno === 1146) {
-                debug('Creating table: migrations');
-
-                return (localDatabase || self.connection).schema.createTable('migrations', function (table) {
-                    table.increments().primary();
-                    table.string('name');
-                    table.string('version');
-                    table.string('currentVersion');
-                });
+            if (!dryRun) {
+                return task.execute(context);
             }
 
-            throw err;
-        });
-};
-
-KnexMigrator.prototype.beforeEachTask = function beforeEachTask(options) {
-    options = options || {};
-
-    var localDatabase = options.transacting,
-        task = options.task,
-        version = options.version,
-        self = this;
+            // CASE: remember all SQL statements of the task
+            transacting.on('query', onQuery);
 
-    return (localDatabase || this.connection)('migrations')
-        .then(function (migrations) {
-            if (!migrations.length) {
+            return Promise.resolve(task.execute(context)).finally(function () {
+                transacting.removeListener('query', onQuery);
+            });
+        }).then(function () {
+            // CASE: the dry run is rolled back, we don't record the task
+            if (dryRun) {
                 return;
             }
 
-            if (_.find(migrations, {name: task, version: version})) {
-                throw new errors.MigrationExistsError();
-            }
-        });
+            return self.afterEachTask({
+                transacting: transacting,
+                task: task.name,
+                version: version,
+                checksum: task.checksum,
+                executedAt: executedAt,
+                duration: Date.now() - executedAt.getTime(),
+                batch: batch
+            });
+        }).then(function () {
+            self.emit('task:end', {
+                version: version,
+                name: task.name,
+                duration: Date.now() - executedAt.getTime()
+            });
+
+            if (hooks.afterEach) {
+                self.emit('hook:afterEach', {command: command, version: version, name: task.name});
+
+                afterEachCalled = true;
+                return hooks.afterEach(context);
+            }
+        }).then(function () {
+            if (dryRun) {
+                return {
+                    version: version,
+                    name: task.name,
+                    statements: statements
+                };
+            }
+        }).catch(function (err) {
+            if (err instanceof errors.MigrationExistsError) {
+                debug('Skipping:' + task.name);
+
+                self.emit('task:skip', {
+                    version: version,
+                    name: task.name
+                });
+
+                return Promise.resolve();
+            }
+
+            self.emit('task:error', {
+                version: version,
+                name: task.name,
+                err: err
+            });
+
+            // CASE: the afterEach hook is called for a failed script as well, context.err contains the error
+            if (!hooks.afterEach || !executedAt || afterEachCalled) {
+                throw getMigrationScriptError(err);
+            }
+
+            self.emit('hook:afterEach', {command: command, version: version, name: task.name});
+
+            return Promise.try(function () {
+                return hooks.afterEach(_.assign({}, context, {err: err}));
+            }).catch(function (hookErr) {
+                debug('AfterEach hook error: ' + hookErr.message);
+            }).then(function () {
+                throw getMigrationScriptError(err);
+            });
+        });
+    }
+
+    return Promise.mapSeries(tasks, function (task) {
+        if (!transactionPerTask) {
+            return executeTask(task, transacting);
+        }
+
+        // CASE: e.g. MySQL DDL statements are committed implicitly, the script can opt out of the transaction
+        if (task.config.transaction === false) {
+            debug('Running without transaction: ' + task.name);
+            return executeTask(task, self.connection);
+        }
+
+        return self.createTransaction(function (transacting) {
+            return executeTask(task, transacting);
+        });
+    }).then(function (executedTasks) {
+        return _.compact(executedTasks);
+    });
+};
+
+/**
+ * Reads the scripts of a folder, which can be executed by your compiler and database client.
+ */
+KnexMigrator.prototype.readTasks = function readTasks(absolutePath) {
+    return utils.readTasks(absolutePath, {
+        extensions: this.extensions,
+        dialect: this.dbConfig.client
+    });
+};
+
+/**
+ * Returns the tasks of a version folder.
+ * The init folder is optional.
+ */
+KnexMigrator.prototype.getTasks = function getTasks(version) {
+    if (version !== 'init') {
+        return this.readTasks(path.join(this.migrationPath, this.subfolder, version));
+    }
+
+    try {
+        return this.readTasks(path.join(this.migrationPath, version));
+    } catch (err) {
+        if (err.code === 'MIGRATION_PATH') {
+            return [];
+        }
+
+        throw err;
+    }
+};
+
+/**
+ * Hooks live in your migration path: hooks/init, hooks/migrate, hooks/reset and hooks/health.
+ */
+KnexMigrator.prototype.getHooks = function getHooks(command) {
+    try {
+        return require(path.join(this.migrationPath, '/hooks', command));
+    } catch (err) {
+        debug('Hook Error: ' + err.message);
+        debug('No hooks found, no problem.');
+        return {};
+    }
+};
+
+/**
+ * The onError hook is called before the transaction is rolled back.
+ * context.version and context.task tell you which migration script has failed.
+ *
+ * The original error is always rethrown, an error of the hook itself is ignored.
+ */
+KnexMigrator.prototype.executeOnErrorHook = function executeOnErrorHook(options) {
+    var self = this,
+        hooks = options.hooks,
+        err = options.err,
+        failedTask = err.errorDetails || {};
+
+    if (!hooks.onError) {
+        return Promise.reject(err);
+    }
+
+    debug('OnError hook');
+    self.emit('hook:onError', {command: options.command, version: failedTask.version, name: failedTask.task});
+
+    return Promise.try(function () {
+        return hooks.onError(self.createContext({
+            command: options.command,
+            version: failedTask.version,
+            task: failedTask.task,
+            transacting: options.transacting,
+            connection: options.connection,
+            state: options.state,
+            err: err
+        }));
+    }).catch(function (hookErr) {
+        debug('OnError hook error: ' + hookErr.message);
+    }).then(function () {
+        throw err;
+    });
+};
+
+/**
+ * The context, which is passed to migration scripts and hooks.
+ *
+ * {
+ *   transacting: knex transaction (or the connection, if the script opts out of the transaction)
+ *   connection: knex connection           [only for the reset and health hooks]
+ *   command: 'init', 'migrate', 'rollback', 'reset' or 'health'
+ *   version: '1.2'                        [not set for the before and after hooks]
+ *   task: '1-add-users.js'                [not set for the before and after hooks]
+ *   currentVersion: '1.2'
+ *   dialect: 'mysql'
+ *   logging: logger, which prefixes the messages with the version and task
+ *   config: your MigratorConfig.js
+ *   state: {}                             [shared by all scripts and hooks of one execution]
+ *   err: the error                        [only for the afterEach and onError hooks]
+ * }
+ */
+KnexMigrator.prototype.createContext = function createContext(options) {
+    options = options || {};
+
+    var scope = _.compact([options.version, options.task]).join('/') || options.command;
+
+    return _.omitBy({
+        transacting: options.transacting,
+        connection: options.connection,
+        command: options.command,
+        version: options.version,
+        task: options.task,
+        currentVersion: this.currentVersion,
+        dialect: this.dbConfig.client,
+        logging: createLogger(scope),
+        config: this.config,
+        state: options.state || {},
+        err: options.err
+    }, _.isUndefined);
+};
+
+/**
+ * We execute all tasks in one transaction by default.
+ * If you configure `transactionMode: 'task'` or a script disables the transaction (`config: {transaction: false}`),
+ * each task is executed in it's own transaction.
+ */
+KnexMigrator.prototype.isTransactionPerTask = function isTransactionPerTask(options) {
+    options = options || {};
+
+    var self = this,
+        versions = options.versions || [];
+
+    if (this.transactionMode === 'task') {
+        return true;
+    }
+
+    return _.some(versions, function (version) {
+        return _.some(self.getTasks(version), function (task) {
+            return task.config.transaction === false;
+        });
+    });
+};
+
+/**
+ * knex-migrator rollback --v 1.2
+ *
+ * Executes the down functions of all executed scripts of the target version in reverse order
+ * and removes them from the migrations table.
+ */
+KnexMigrator.prototype.rollback = function rollback(options) {
+    options = options || {};
+
+    var self = this,
+        version = options.version,
+        state = {},
+        hasLock = false;
+
+    if (!version) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: 'Please define the version you would like to rollback.',
+            help: 'knex-migrator rollback --v 1.2'
+        }));
+    }
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    return self.acquireLock().then(function () {
+        hasLock = true;
+
+        return self.createTransaction(function executeTasks(transacting) {
+            return transacting('migrations')
+                .where({version: version})
+                .then(function (migrations) {
+                    var tasks = _.filter(self.getTasks(version), function (task) {
+                        return _.find(migrations, {name: task.name});
+                    }).reverse();
+
+                    _.each(tasks, function (task) {
+                        if (!task.rollback) {
+                            throw new errors.MigrationScript({
+                                message: 'Migration script does not export a down function: ' + task.name,
+                                help: 'Only migration scripts which export up and down can be rolled back.'
+                            });
+                        }
+                    });
+
+                    debug('Rollback: ' + version + ' with ' + tasks.length + ' tasks.');
+
+                    return Promise.each(tasks, function executeTask(task) {
+                        debug('Rolling back:' + task.name);
+
+                        return Promise.resolve(task.rollback(self.createContext({
+                            command: 'rollback',
+                            version: version,
+                            task: task.name,
+                            transacting: transacting,
+                            state: state
+                        }))).then(function () {
+                            return transacting('migrations')
+                                .where({name: task.name, version: version})
+                                .del();
+                        }).catch(function (err) {
+                            throw new errors.MigrationScript({
+                                message: err.message,
+                                help: 'Error occurred while rolling back the following migration: ' + task.name,
+                                err: err
+                            });
+                        });
+                    });
+                });
+        });
+    }).catch(function (err) {
+        debug('Rolling back: ' + err.message);
+        return Promise.reject(err);
+    }).finally(function () {
+        if (!hasLock) {
+            return;
+        }
+
+        return self.releaseLock();
+    }).finally(function () {
+        debug('Destroy connection');
+        return self.connection.destroy()
+            .then(function () {
+                debug('Destroyed connection');
+            });
+    });
+};
+
+/**
+ * knex-migrator baseline --v 1.2
+ *
+ * Your existing database already contains init and all versions up to 1.2.
+ * Records all scripts up to the version as executed without running them.
+ *
+ * The scripts are recorded with currentVersion 1.2, that's why newer versions get executed by the next migration.
+ * In dry run mode, it only resolves with the scripts, which would be recorded.
+ */
+KnexMigrator.prototype.baseline = function baseline(options) {
+    options = options || {};
+
+    var self = this,
+        version = options.version,
+        dryRun = options.dryRun,
+        hasLock = false,
+        versions;
+
+    if (!version) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: 'Please define the version of your database.',
+            help: 'knex-migrator baseline --v 1.2'
+        }));
+    }
+
+    if (!utils.isValidVersion(version)) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: 'Version is not valid: ' + version,
+            help: 'knex-migrator baseline --v 1.2'
+        }));
+    }
+
+    versions = _.filter(this.getVersions(), function (folder) {
+        return folder === 'init' || !utils.isGreaterThanVersion({greaterVersion: folder, smallerVersion: version});
+    });
+
+    function getTasksToRecord(transacting) {
+        return transacting('migrations')
+            .catch(function (err) {
+                var error = getMigrationsLookupError(err, self.dialect);
+
+                // CASE: dry run for a database without migrations table
+                if (error.code === 'MIGRATION_TABLE_IS_MISSING') {
+                    return [];
+                }
+
+                throw error;
+            })
+            .then(function (migrations) {
+                return _.flatten(_.map(versions, function (folder) {
+                    return _.map(_.reject(self.getTasks(folder), function (task) {
+                        return _.find(migrations, {name: task.name, version: folder});
+                    }), function (task) {
+                        return {
+                            version: folder,
+                            name: task.name,
+                            checksum: task.checksum
+                        };
+                    });
+                }));
+            });
+    }
+
+    function getResult(tasks) {
+        return {
+            version: version,
+            dryRun: !!dryRun,
+            tasks: _.map(tasks, function (task) {
+                return _.pick(task, ['version', 'name']);
+            })
+        };
+    }
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    if (dryRun) {
+        return getTasksToRecord(self.connection)
+            .then(getResult)
+            .finally(function () {
+                debug('Destroy connection');
+                return self.connection.destroy();
+            });
+    }
+
+    return self.acquireLock().then(function () {
+        hasLock = true;
+
+        return self.createTransaction(function (transacting) {
+            var tasks;
+
+            return self.createMigrationsTable({
+                transacting: transacting
+            }).then(function () {
+                return getTasksToRecord(transacting);
+            }).then(function (tasksToRecord) {
+                tasks = tasksToRecord;
+
+                return self.getNextBatch({
+                    transacting: transacting
+                });
+            }).then(function (batch) {
+                return Promise.each(tasks, function (task) {
+                    debug('Baseline: ' + task.version + '/' + task.name);
+
+                    return self.afterEachTask({
+                        transacting: transacting,
+                        task: task.name,
+                        version: task.version,
+                        currentVersion: version,
+                        checksum: task.checksum,
+                        executedAt: new Date(),
+                        duration: 0,
+                        batch: batch
+                    });
+                });
+            }).then(function () {
+                return getResult(tasks);
+            });
+        });
+    }).catch(function (err) {
+        debug('Rolling back: ' + err.message);
+        return Promise.reject(err);
+    }).finally(function () {
+        if (!hasLock) {
+            return;
+        }
+
+        return self.releaseLock();
+    }).finally(function () {
+        debug('Destroy connection');
+        return self.connection.destroy()
+            .then(function () {
+                debug('Destroyed connection');
+            });
+    });
+};
+
+/**
+ * knex-migrator repair
+ *
+ * Reconciles the migrations table with the scripts on disk:
+ *   - duplicates: a script was recorded more than once, the first row is kept
+ *   - orphaned: the script does not exist anymore
+ *
+ * An orphaned row is re-pointed to a script of the same version, which is not recorded yet and has
+ * the same checksum (the script was renamed). Otherwise the row gets deleted.
+ *
+ * A script with the same prefix could be a renamed and changed script, but also a new script, which was never executed.
+ * It is only suggested, `matchPrefix` re-points the row to it.
+ *
+ * In dry run mode, it only resolves with the changes.
+ */
+KnexMigrator.prototype.repair = function repair(options) {
+    options = options || {};
+
+    var self = this,
+        dryRun = options.dryRun,
+        matchPrefix = options.matchPrefix,
+        hasLock = false;
+
+    function getTasks(version) {
+        try {
+            return self.getTasks(version);
+        } catch (err) {
+            // CASE: the version folder was removed
+            if (err.code === 'MIGRATION_PATH') {
+                return [];
+            }
+
+            throw err;
+        }
+    }
+
+    function getChanges(transacting) {
+        return transacting('migrations')
+            .orderBy('id')
+            .catch(function (err) {
+                throw getMigrationsLookupError(err, self.dialect);
+            })
+            .then(function (migrations) {
+                var changes = {
+                        duplicates: [],
+                        orphaned: []
+                    },
+                    groups = _.groupBy(migrations, function (migration) {
+                        return migration.version + '/' + migration.name;
+                    });
+
+                _.each(groups, function (rows) {
+                    _.each(rows.slice(1), function (row) {
+                        changes.duplicates.push({
+                            id: row.id,
+                            version: row.version,
+                            name: row.name,
+                            action: 'delete'
+                        });
+                    });
+                });
+
+                _.each(_.groupBy(_.map(groups, _.first), 'version'), function (rows, version) {
+                    var tasks = getTasks(version),
+                        unrecordedTasks = _.reject(tasks, function (task) {
+                            return _.find(rows, {name: task.name});
+                        });
+
+                    _.each(rows, function (row) {
+                        var renamedTask, reason;
+
+                        if (_.find(tasks, {name: row.name})) {
+                            return;
+                        }
+
+                        if (row.checksum && (renamedTask = _.find(unrecordedTasks, {checksum: row.checksum}))) {
+                            reason = 'checksum';
+                        } else if ((renamedTask = _.find(unrecordedTasks, function (task) {
+                                var prefix = utils.getPrefix(task.name);
+                                return prefix !== null && prefix === utils.getPrefix(row.name);
+                            }))) {
+                            reason = 'prefix';
+                        }
+
+                        // CASE: a script with the same prefix is only a suggestion, it could have never been executed
+                        if (!renamedTask || (reason === 'prefix' && !matchPrefix)) {
+                            changes.orphaned.push(_.omitBy({
+                                id: row.id,
+                                version: row.version,
+                                name: row.name,
+                                action: 'delete',
+                                suggestion: renamedTask && renamedTask.name
+                            }, _.isUndefined));
+                            return;
+                        }
+
+                        unrecordedTasks = _.without(unrecordedTasks, renamedTask);
+
+                        changes.orphaned.push({
+                            id: row.id,
+                            version: row.version,
+                            name: row.name,
+                            action: 'repoint',
+                            to: renamedTask.name,
+                            reason: reason,
+                            checksum: renamedTask.checksum
+                        });
+                    });
+                });
+
+                return changes;
+            });
+    }
+
+    function applyChanges(transacting, changes) {
+        return Promise.each(changes.duplicates.concat(changes.orphaned), function (change) {
+            debug('Repair: ' + change.action + ' ' + change.version + '/' + change.name);
+
+            if (change.action === 'repoint') {
+                return transacting('migrations')
+                    .where({id: change.id})
+                    .update({
+                        name: change.to,
+                        checksum: change.checksum
+                    });
+            }
+
+            return transacting('migrations')
+                .where({id: change.id})
+                .del();
+        });
+    }
+
+    function getResult(changes) {
+        return {
+            dryRun: !!dryRun,
+            duplicates: changes.duplicates,
+            orphaned: _.map(changes.orphaned, function (change) {
+                return _.omit(change, 'checksum');
+            })
+        };
+    }
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    if (dryRun) {
+        return getChanges(self.connection)
+            .then(getResult)
+            .finally(function () {
+                debug('Destroy connection');
+                return self.connection.destroy();
+            });
+    }
+
+    return self.acquireLock().then(function () {
+        hasLock = true;
+
+        return self.createTransaction(function (transacting) {
+            return getChanges(transacting)
+                .then(function (changes) {
+                    return applyChanges(transacting, changes)
+                        .then(function () {
+                            return getResult(changes);
+                        });
+                });
+        });
+    }).catch(function (err) {
+        debug('Rolling back: ' + err.message);
+        return Promise.reject(err);
+    }).finally(function () {
+        if (!hasLock) {
+            return;
+        }
+
+        return self.releaseLock();
+    }).finally(function () {
+        debug('Destroy connection');
+        return self.connection.destroy()
+            .then(function () {
+                debug('Destroyed connection');
+            });
+    });
+};
+
+/**
+ * will delete the target database
+ *
+ * @TODO:
+ * - think about deleting only the tables
+ * - move to database
+ */
+KnexMigrator.prototype.reset = function reset(options) {
+    options = options || {};
+
+    var self = this,
+        state = {},
+        hooks = options.disableHooks ? {} : this.getHooks('reset');
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    return Promise.try(function executeBeforeHook() {
+        if (hooks.before) {
+            debug('Before hook');
+            self.emit('hook:before', {command: 'reset'});
+
+            return hooks.before(self.createContext({
+                command: 'reset',
+                connection: self.connection,
+                state: state
+            }));
+        }
+    }).then(function () {
+        return database.drop({
+            connection: self.connection,
+            dbConfig: self.dbConfig,
+            dialect: self.dialect
+        });
+    }).then(function executeAfterHook() {
+        if (hooks.after) {
+            debug('After hook');
+            self.emit('hook:after', {command: 'reset'});
+
+            return hooks.after(self.createContext({
+                command: 'reset',
+                connection: self.connection,
+                state: state
+            }));
+        }
+    }).catch(function onRestError(err) {
+        debug('Reset error: ' + err.message);
+
+        return self.executeOnErrorHook({
+            hooks: hooks,
+            command: 'reset',
+            connection: self.connection,
+            state: state,
+            err: err
+        });
+    }).finally(function () {
+        debug('Destroy connection');
+        return self.connection.destroy()
+            .then(function () {
+                debug('Destroyed connection');
+            });
+    });
+};
+
+KnexMigrator.prototype.createMigrationsTable = function createMigrationsTable(options) {
+    options = options || {};
+
+    var localDatabase = options.transacting,
+        self = this;
+
+    // NOTE: a failed query aborts the whole transaction in pg, that's why we don't query the table to detect it
+    return (localDatabase || this.connection).schema.hasTable('migrations')
+        .then(function (exists) {
+            if (exists) {
+                return;
+            }
+
+            debug('Creating table: migrations');
+
+            return (localDatabase || self.connection).schema.createTable('migrations', function (table) {
+                table.increments().primary();
+                table.string('name');
+                table.string('version');
+                table.string('currentVersion');
+
+                _.each(MIGRATIONS_TABLE_COLUMNS, function (addColumn) {
+                    addColumn(table);
+                });
+            });
+        })
+        .then(function () {
+            return self.upgradeMigrationsTable({
+                transacting: localDatabase
+            });
+        });
+};
+
+/**
+ * Adds columns to migrations tables, which were created by older knex-migrator versions.
+ * Rows of pre-release folders, which were recorded with the legacy version, get the full version.
+ */
+KnexMigrator.prototype.upgradeMigrationsTable = function upgradeMigrationsTable(options) {
+    options = options || {};
+
+    var self = this,
+        localDatabase = options.transacting || this.connection;
+
+    return localDatabase.schema.hasTable('migrations')
+        .then(function (exists) {
+            if (!exists) {
+                return;
+            }
+
+            return Promise.each(_.keys(MIGRATIONS_TABLE_COLUMNS), function (column) {
+                return localDatabase.schema.hasColumn('migrations', column)
+                    .then(function (exists) {
+                        if (exists) {
+                            return;
+                        }
+
+                        debug('Adding column: migrations.' + column);
+
+                        return localDatabase.schema.table('migrations', function (table) {
+                            MIGRATIONS_TABLE_COLUMNS[column](table);
+                        });
+                    });
+            }).then(function () {
+                return self.upgradeLegacyVersions({
+                    transacting: localDatabase
+                });
+            });
+        });
+};
+
+/**
+ * versions/2.0.0-beta.1 was recorded as `2.0.0` by older knex-migrator versions.
+ *
+ * Only rows of scripts, which exist in the pre-release folder, are moved.
+ * If a folder of the legacy version exists as well, its scripts keep their rows.
+ */
+KnexMigrator.prototype.upgradeLegacyVersions = function upgradeLegacyVersions(options) {
+    options = options || {};
+
+    var self = this,
+        localDatabase = options.transacting || this.connection,
+        versions = this.getVersions();
+
+    return Promise.each(versions, function (version) {
+        var legacyVersion = utils.getLegacyVersion(version),
+            names;
+
+        if (version === 'init' || !legacyVersion || legacyVersion === version) {
+            return;
+        }
+
+        names = _.map(self.getTasks(version), 'name');
+
+        if (versions.indexOf(legacyVersion) !== -1) {
+            names = _.difference(names, _.map(self.getTasks(legacyVersion), 'name'));
+        }
+
+        if (!names.length) {
+            return;
+        }
+
+        return localDatabase('migrations')
+            .where({version: legacyVersion})
+            .whereIn('name', names)
+            .update({version: version})
+            .then(function (affectedRows) {
+                if (affectedRows) {
+                    debug('Moved ' + affectedRows + ' rows from version ' + legacyVersion + ' to ' + version);
+                }
+            });
+    });
+};
+
+/**
+ * All tasks of one init or migrate execution share the same batch number.
+ */
+KnexMigrator.prototype.getNextBatch = function getNextBatch(options) {
+    options = options || {};
+
+    var localDatabase = options.transacting || this.connection;
+
+    return localDatabase('migrations')
+        .max('batch as batch')
+        .then(function (result) {
+            return (result[0].batch || 0) + 1;
+        });
+};
+
+/**
+ * The lock table contains a single row.
+ * Two knex-migrator processes can't execute migrations at the same time.
+ */
+KnexMigrator.prototype.createMigrationsLockTable = function createMigrationsLockTable() {
+    var connection = this.connection;
+
+    return connection.schema.hasTable('migrations_lock')
+        .then(function (exists) {
+            if (exists) {
+                return;
+            }
+
+            debug('Creating table: migrations_lock');
+
+            return connection.schema.createTable('migrations_lock', function (table) {
+                table.string('lock_key', 191).notNullable().primary();
+                table.boolean('locked').defaultTo(false);
+                table.dateTime('acquired_at').nullable();
+                table.dateTime('released_at').nullable();
+                table.string('owner').nullable();
+            }).catch(function (err) {
+                // CASE: another process has created the table in the meantime
+                return connection.schema.hasTable('migrations_lock')
+                    .then(function (exists) {
+                        if (!exists) {
+                            throw err;
+                        }
+                    });
+            });
+        })
+        .then(function () {
+            // CASE: lock table was created by an older knex-migrator version
+            return connection.schema.hasColumn('migrations_lock', 'owner')
+                .then(function (exists) {
+                    if (exists) {
+                        return;
+                    }
+
+                    debug('Adding column: migrations_lock.owner');
+
+                    return connection.schema.table('migrations_lock', function (table) {
+                        table.string('owner').nullable();
+                    });
+                });
+        })
+        .then(function () {
+            return connection('migrations_lock').where({lock_key: MIGRATIONS_LOCK_KEY});
+        })
+        .then(function (rows) {
+            if (rows.length) {
+                return;
+            }
+
+            return connection('migrations_lock')
+                .insert({
+                    lock_key: MIGRATIONS_LOCK_KEY,
+                    locked: false
+                })
+                .catch(function (err) {
+                    // CASE: another process has inserted the lock row in the meantime
+                    return connection('migrations_lock').where({lock_key: MIGRATIONS_LOCK_KEY})
+                        .then(function (rows) {
+                            if (!rows.length) {
+                                throw err;
+                            }
+                        });
+                });
+        });
+};
+
+/**
+ * Waits until the lock is free or until `lock.timeout` is reached.
+ * A lock which was acquired longer than `lock.staleTimeout` ago, is treated as stale and gets overridden.
+ *
+ * The lock row remembers a random owner id, see releaseLock.
+ */
+KnexMigrator.prototype.acquireLock = function acquireLock() {
+    var self = this,
+        connection = this.connection,
+        timeout = this.lockOptions.timeout,
+        retryInterval = this.lockOptions.retryInterval,
+        staleTimeout = this.lockOptions.staleTimeout,
+        owner = crypto.randomBytes(16).toString('hex'),
+        startedAt = Date.now();
+
+    function tryToLock() {
+        var staleDate = staleTimeout ? new Date(Date.now() - staleTimeout) : null;
+
+        return connection('migrations_lock')
+            .where({lock_key: MIGRATIONS_LOCK_KEY})
+            .andWhere(function () {
+                this.where('locked', false);
+
+                if (staleDate) {
+                    this.orWhere('acquired_at', '<', staleDate);
+                }
+            })
+            .update({
+                locked: true,
+                acquired_at: new Date(),
+                released_at: null,
+                owner: owner
+            })
+            .then(function (affectedRows) {
+                if (affectedRows) {
+                    debug('Acquired lock: ' + owner);
+                    self.lockOwner = owner;
+                    return;
+                }
+
+                if (Date.now() - startedAt >= timeout) {
+                    throw new errors.MigrationsAreLockedError({
+                        message: 'Migrations are locked by another process.'
+                    });
+                }
+
+                debug('Waiting for lock');
+                return Promise.delay(retryInterval).then(tryToLock);
+            });
+    }
+
+    return self.createMigrationsLockTable()
+        .catch(function (err) {
+            // CASE: database does not exist
+            if (self.dialect.classifyError(err) === 'DATABASE_NOT_FOUND') {
+                throw new errors.DatabaseIsNotOkError({
+                    message: 'Please run knex-migrator init',
+                    code: 'DB_NOT_INITIALISED'
+                });
+            }
+
+            throw err;
+        })
+        .then(tryToLock);
+};
+
+/**
+ * Releases the lock, but only if this process still owns it.
+ * Another process could have overridden our lock as stale, we must not release their lock.
+ *
+ * `force` releases the lock of any process, see knex-migrator unlock.
+ */
+KnexMigrator.prototype.releaseLock = function releaseLock(options) {
+    options = options || {};
+
+    var self = this,
+        query = this.connection('migrations_lock').where({lock_key: MIGRATIONS_LOCK_KEY});
+
+    if (!options.force) {
+        query = query.andWhere({owner: self.lockOwner || null});
+    }
+
+    return query
+        .update({
+            locked: false,
+            released_at: new Date(),
+            owner: null
+        })
+        .then(function (affectedRows) {
+            self.lockOwner = null;
+
+            if (!affectedRows && !options.force) {
+                logging.warn('The migration lock was overridden by another process, it was not released.');
+                return;
+            }
+
+            debug('Released lock');
+        });
+};
+
+/**
+ * knex-migrator unlock
+ *
+ * Releases the lock, no matter which process has acquired it.
+ */
+KnexMigrator.prototype.unlock = function unlock() {
+    var self = this;
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    return self.connection.schema.hasTable('migrations_lock')
+        .then(function (exists) {
+            if (!exists) {
+                debug('No lock table, nothing to unlock.');
+                return;
+            }
+
+            // NOTE: adds the owner column to lock tables of older versions
+            return self.createMigrationsLockTable()
+                .then(function () {
+                    return self.releaseLock({force: true});
+                });
+        })
+        .finally(function () {
+            debug('Destroy connection');
+            return self.connection.destroy()
+                .then(function () {
+                    debug('Destroyed connection');
+                });
+        });
+};
+
+KnexMigrator.prototype.beforeEachTask = function beforeEachTask(options) {
+    options = options || {};
+
+    var localDatabase = options.transacting,
+        task = options.task,
+        version = options.version,
+        self = this;
+
+    return (localDatabase || this.connection)('migrations')
+        .then(function (migrations) {
+            if (!migrations.length) {
+                return;
+            }
+
+            if (_.find(migrations, {name: task, version: version})) {
+                throw new errors.MigrationExistsError();
+            }
+        });
 };
 
 KnexMigrator.prototype.afterEachTask = function afterTask(options) {
@@ -420,13 +1707,22 @@ KnexMigrator.prototype.afterEachTask = function afterTask(options) {
 
     var localDatabase = options.transacting,
         task = options.task,
-        version = options.version;
+        version = options.version,
+        checksum = options.checksum,
+        executedAt = options.executedAt,
+        duration = options.duration,
+        batch = options.batch;
 
     return (localDatabase || this.connection)('migrations')
         .insert({
             name: task,
             version: version,
-            currentVersion: this.currentVersion
+            currentVersion: options.currentVersion || this.currentVersion,
+            checksum: checksum,
+            executed_at: executedAt,
+            duration_ms: duration,
+            batch: batch,
+            knex_migrator_version: pkg.version
         });
 };
 
@@ -434,6 +1730,37 @@ KnexMigrator.prototype.createTransaction = function createTransaction(callback)
     return this.connection.transaction(callback);
 };
 
+/**
+ * Returns init and all versions of the subfolder in ascending order.
+ *
+ * We always return the init folder:
+ * 1. to be able to add more init scripts
+ * 2. to check if migration scripts need's to be executed or not, see https://github.com/TryGhost/knex-migrator/issues/39
+ */
+KnexMigrator.prototype.getVersions = function getVersions() {
+    var folders = [];
+
+    // CASE: no subfolder yet
+    try {
+        folders = utils.readFolders(path.join(this.migrationPath, this.subfolder));
+    } catch (err) {
+        // ignore
+    }
+
+    folders = _.compact(_.map(folders, function (folder) {
+        // CASE: versions/1.1-members or versions/2.0-payments
+        if (!utils.parseVersionFolder(folder)) {
+            logging.warn('Cannot parse folder name.');
+            logging.warn('Ignore Folder: ' + folder);
+            return;
+        }
+
+        return utils.parseVersionFolder(folder);
+    }));
+
+    return utils.sortVersions(['init'].concat(folders));
+};
+
 /**
  * returns expected and actual database state
  * @TODO: refactor
@@ -445,36 +1772,11 @@ KnexMigrator.prototype.integrityCheck = function integrityCheck(options) {
         subfolder = this.subfolder,
         force = options.force,
         connection = options.transacting || this.connection,
-        folders = [],
         currentVersionInitTask,
         operations = {},
         toReturn = {};
 
-    // CASE: we always fetch the init scripts and check them
-    // 1. to be able to add more init scripts
-    // 2. to check if migration scripts need's to be executed or not, see https://github.com/TryGhost/knex-migrator/issues/39
-    folders.push('init');
-
-    // CASE: no subfolder yet
-    try {
-        folders = folders.concat(utils.readFolders(path.join(self.migrationPath, subfolder)));
-    } catch (err) {
-        // ignore
-    }
-
-    _.each(folders, function (folder) {
-
-        // CASE: versions/1.1-members or versions/2.0-payments
-        if (folder !== 'init') {
-            try {
-                folder = folder.match(/([\d\.\_]+)/)[0];
-            } catch (err) {
-                logging.warn('Cannot parse folder name.');
-                logging.warn('Ignore Folder: ' + folder);
-                return;
-            }
-        }
-
+    _.each(self.getVersions(), function (folder) {
         // CASE:
         // if you current version if 1.0 and you add migration scripts for the next version 1.1
         // we won't execute them until your current version changes to 1.1
@@ -483,6 +1785,11 @@ KnexMigrator.prototype.integrityCheck = function integrityCheck(options) {
                 logging.warn('Skip: ' + folder);
                 logging.warn('Current version in MigratorConfig.js is smaller then requested version, use --force to proceed!');
                 logging.warn('Use --force to proceed!');
+
+                self.emit('version:skip', {
+                    version: folder,
+                    reason: 'currentVersion'
+                });
                 return;
             }
         }
@@ -490,39 +1797,16 @@ KnexMigrator.prototype.integrityCheck = function integrityCheck(options) {
         operations[folder] = connection('migrations').where({
             version: folder
         }).catch(function onMigrationsLookupError(err) {
-            // CASE: no database selected (database.connection.database="")
-            if (err.errno === 1046) {
-                throw new errors.DatabaseIsNotOkError({
-                    message: 'Please define a target database in your configuration.',
-                    help: 'database: {\n\tconnection:\n\t\tdatabase:"database_name"\n\t}\n}\n',
-                    code: 'DB_NOT_INITIALISED'
-                });
-            }
-
-            // CASE: database does not exist
-            if (err.errno === 1049) {
-                throw new errors.DatabaseIsNotOkError({
-                    message: 'Please run knex-migrator init',
-                    code: 'DB_NOT_INITIALISED'
-                });
-            }
-
-            // CASE: migration table does not exist
-            if (err.errno === 1 || err.errno === 1146) {
-                throw new errors.DatabaseIsNotOkError({
-                    message: 'Please run knex-migrator init',
-                    code: 'MIGRATION_TABLE_IS_MISSING'
-                });
-            }
-
-            throw err;
+            throw getMigrationsLookupError(err, self.dialect);
         });
     });
 
     return Promise.props(operations)
         .then(function (result) {
-            _.each(result, function (value, version) {
-                var actual = value.length,
+            // CASE: init first, then all versions in ascending order
+            _.each(utils.sortVersions(_.keys(result)), function (version) {
+                var value = result[version],
+                    actual = value.length,
                     expected = actual;
 
                 // CASE: remember the version the user has initialised the database
@@ -532,11 +1816,11 @@ KnexMigrator.prototype.integrityCheck = function integrityCheck(options) {
 
                 if (version !== 'init') {
                     if (utils.isGreaterThanVersion({smallerVersion: currentVersionInitTask, greaterVersion: version})) {
-                        expected = utils.readTasks(path.join(self.migrationPath, subfolder, version)).length;
+                        expected = self.readTasks(path.join(self.migrationPath, subfolder, version)).length;
                     }
                 }
                 else {
-                    expected = utils.readTasks(path.join(self.migrationPath, version)).length;
+                    expected = self.readTasks(path.join(self.migrationPath, version)).length;
                 }
 
                 debug('Version ' + version + ' expected: ' + expected);
@@ -544,14 +1828,102 @@ KnexMigrator.prototype.integrityCheck = function integrityCheck(options) {
 
                 toReturn[version] = {
                     expected: expected,
-                    actual: actual
+                    actual: actual,
+                    changed: self.getChangedTasks({version: version, migrations: value})
                 }
             });
 
+            var changedTasks = _.flatMap(toReturn, function (value, version) {
+                return _.map(value.changed, function (name) {
+                    return version + '/' + name;
+                });
+            });
+
+            // CASE: someone has edited already executed migration scripts
+            if (changedTasks.length) {
+                if (self.checksumMode === 'error') {
+                    throw new errors.DatabaseIsNotOkError({
+                        message: 'Migration scripts were changed after execution: ' + changedTasks.join(', '),
+                        help: 'Use knex-migrator migrate --accept-changes to accept the changes.',
+                        code: 'MIGRATION_CHECKSUM_MISMATCH'
+                    });
+                }
+
+                logging.warn('Migration scripts were changed after execution: ' + changedTasks.join(', '));
+                logging.warn('Use knex-migrator migrate --accept-changes to accept the changes.');
+            }
+
             return toReturn;
         });
 };
 
+/**
+ * Returns the names of executed tasks, which have changed since their execution.
+ * Rows without checksum were executed by older knex-migrator versions and are ignored.
+ */
+KnexMigrator.prototype.getChangedTasks = function getChangedTasks(options) {
+    var version = options.version,
+        migrations = _.filter(options.migrations, 'checksum'),
+        tasks;
+
+    if (!migrations.length) {
+        return [];
+    }
+
+    try {
+        tasks = this.getTasks(version);
+    } catch (err) {
+        if (err.code === 'MIGRATION_PATH') {
+            return [];
+        }
+
+        throw err;
+    }
+
+    return _.map(_.filter(migrations, function (migration) {
+        var task = _.find(tasks, {name: migration.name});
+        return task && task.checksum !== migration.checksum;
+    }), 'name');
+};
+
+/**
+ * knex-migrator migrate --accept-changes
+ *
+ * Stores the checksums of the current migration scripts.
+ */
+KnexMigrator.prototype.acceptChanges = function acceptChanges(options) {
+    options = options || {};
+
+    var self = this,
+        localDatabase = options.transacting || this.connection;
+
+    return localDatabase('migrations')
+        .then(function (migrations) {
+            return Promise.each(_.keys(_.groupBy(migrations, 'version')), function (version) {
+                var tasks;
+
+                try {
+                    tasks = self.getTasks(version);
+                } catch (err) {
+                    if (err.code === 'MIGRATION_PATH') {
+                        return;
+                    }
+
+                    throw err;
+                }
+
+                return Promise.each(tasks, function (task) {
+                    return localDatabase('migrations')
+                        .where({name: task.name, version: version})
+                        .update({checksum: task.checksum});
+                });
+            });
+        })
+        .then(function () {
+            debug('Accepted changes');
+        });
+};
+
 /**
  * Gives you two informations:
  * 1. is your database initialised?
@@ -561,14 +1933,30 @@ KnexMigrator.prototype.isDatabaseOK = function isDatabaseOK(options) {
     options = options || {};
 
     var transacting = options.transacting,
+        state = {},
+        hooks = options.disableHooks ? {} : this.getHooks('health'),
         self = this;
 
     if (!transacting) {
-        this.connection = database.connect(this.dbConfig);
+        this.connection = database.connect(this.dbConfig, this.dialect);
     }
 
-    return this.integrityCheck({
-        transacting: transacting
+    return Promise.try(function executeBeforeHook() {
+        if (hooks.before) {
+            debug('Before hook');
+            self.emit('hook:before', {command: 'health'});
+
+            return hooks.before(self.createContext({
+                command: 'health',
+                transacting: transacting,
+                connection: self.connection,
+                state: state
+            }));
+        }
+    }).then(function () {
+        return self.integrityCheck({
+            transacting: transacting
+        });
     }).then(function (result) {
         // CASE: if an init script was removed, the health check will be positive (see #48)
         if (result.init && result.init.expected > result.init.actual) {
@@ -586,6 +1974,32 @@ KnexMigrator.prototype.isDatabaseOK = function isDatabaseOK(options) {
                 });
             }
         });
+    }).then(function executeAfterHook() {
+        if (hooks.after) {
+            debug('After hook');
+            self.emit('hook:after', {command: 'health'});
+
+            return hooks.after(self.createContext({
+                command: 'health',
+                transacting: transacting,
+                connection: self.connection,
+                state: state
+            }));
+        }
+    }).catch(function (err) {
+        // CASE: e.g. DB_NEEDS_MIGRATION is the answer of the health check, not a failure
+        if (err instanceof errors.DatabaseIsNotOkError) {
+            throw err;
+        }
+
+        return self.executeOnErrorHook({
+            hooks: hooks,
+            command: 'health',
+            transacting: transacting,
+            connection: self.connection,
+            state: state,
+            err: err
+        });
     }).finally(function () {
         if (!self.connection) {
             return;
@@ -599,4 +2013,287 @@ KnexMigrator.prototype.isDatabaseOK = function isDatabaseOK(options) {
     });
 };
 
+/**
+ * knex-migrator status
+ *
+ * Returns the state of each migration script:
+ *   - applied: the script was executed
+ *   - pending: the script needs to be executed
+ *   - skipped: the version is greater than your current version or your database was initialised with a greater version
+ *   - orphaned: the script was executed, but does not exist anymore
+ */
+KnexMigrator.prototype.status = function status() {
+    var self = this,
+        versions = this.getVersions();
+
+    this.connection = database.connect(this.dbConfig, this.dialect);
+
+    return this.connection('migrations')
+        .catch(function (err) {
+            var error = getMigrationsLookupError(err, self.dialect);
+
+            // CASE: database was not initialised yet, everything is pending
+            if (error.code === 'MIGRATION_TABLE_IS_MISSING') {
+                return [];
+            }
+
+            throw error;
+        })
+        .then(function (migrations) {
+            var initMigration = _.find(migrations, {version: 'init'}),
+                currentVersionInitTask = initMigration && initMigration.currentVersion,
+                orphanedVersions = _.difference(_.uniq(_.map(migrations, 'version')), versions),
+                result = [];
+
+            function isSkipped(version) {
+                if (version === 'init') {
+                    return false;
+                }
+
+                if (utils.isGreaterThanVersion({smallerVersion: self.currentVersion, greaterVersion: version})) {
+                    return true;
+                }
+
+                return !!currentVersionInitTask &&
+                    !utils.isGreaterThanVersion({smallerVersion: currentVersionInitTask, greaterVersion: version});
+            }
+
+            _.each(utils.sortVersions(versions.concat(orphanedVersions)), function (version) {
+                var executed = _.filter(migrations, {version: version}),
+                    tasks = [];
+
+                if (versions.indexOf(version) !== -1) {
+                    try {
+                        tasks = self.getTasks(version);
+                    } catch (err) {
+                        if (err.code !== 'MIGRATION_PATH') {
+                            throw err;
+                        }
+                    }
+                }
+
+                _.each(tasks, function (task) {
+                    var migration = _.find(executed, {name: task.name}),
+                        state = 'pending';
+
+                    if (migration) {
+                        state = 'applied';
+                    } else if (isSkipped(version)) {
+                        state = 'skipped';
+                    }
+
+                    result.push({
+                        version: version,
+                        name: task.name,
+                        state: state,
+                        executedAt: migration && migration.executed_at ? new Date(migration.executed_at) : null
+                    });
+                });
+
+                _.each(executed, function (migration) {
+                    if (_.find(tasks, {name: migration.name})) {
+                        return;
+                    }
+
+                    result.push({
+                        version: version,
+                        name: migration.name,
+                        state: 'orphaned',
+                        executedAt: migration.executed_at ? new Date(migration.executed_at) : null
+                    });
+                });
+            });
+
+            return result;
+        })
+        .finally(function () {
+            debug('Destroy connection');
+            return self.connection.destroy()
+                .then(function () {
+                    debug('Destroyed connection');
+                });
+        });
+};
+
+/**
+ * knex-migrator create <name>
+ *
+ * Writes a new migration script into the folder of your current version (or init) with the next free prefix.
+ * Your own templates live in `migrationPath/templates/default.js` and `migrationPath/templates/up-down.js`.
+ */
+KnexMigrator.prototype.create = function create(options) {
+    options = options || {};
+
+    var name = _.kebabCase((options.name || '').replace(/^\d+-/, '').replace(/\.js$/, '')),
+        templateName = options.upDown ? 'up-down.js' : 'default.js',
+        folderPath = options.init ?
+            path.join(this.migrationPath, 'init') :
+            path.join(this.migrationPath, this.subfolder, this.currentVersion),
+        templatePath = path.join(this.migrationPath, 'templates', templateName),
+        functionName = _.camelCase(name),
+        manifest, files, fileName, filePath;
+
+    if (!name) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: 'Please define a name for your migration script: knex-migrator create add-users-table'
+        }));
+    }
+
+    if (!fs.existsSync(templatePath)) {
+        templatePath = path.join(__dirname, 'templates', templateName);
+    }
+
+    // CASE: function names must not start with a number or be a reserved word, e.g. knex-migrator create delete
+    if (functionName.match(/^\d/) || RESERVED_WORDS.indexOf(functionName) !== -1) {
+        functionName = '_' + functionName;
+    }
+
+    return Promise.try(function () {
+        _.each([path.dirname(folderPath), folderPath], function (folder) {
+            if (!fs.existsSync(folder)) {
+                debug('Create folder: ' + folder);
+                fs.mkdirSync(folder);
+            }
+        });
+
+        files = _.filter(fs.readdirSync(folderPath), function (file) {
+            return !file.match(/^\./);
+        });
+
+        fileName = utils.getNextPrefix(files) + '-' + name + '.js';
+        filePath = path.join(folderPath, fileName);
+
+        fs.writeFileSync(filePath, fs.readFileSync(templatePath, 'utf-8').replace(/\{\{name\}\}/g, functionName));
+
+        // CASE: the manifest defines the order, the new script is executed last
+        manifest = utils.readManifest(folderPath);
+
+        if (manifest) {
+            manifest.push(fileName);
+            fs.writeFileSync(path.join(folderPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        }
+
+        debug('Created migration script: ' + filePath);
+        return filePath;
+    });
+};
+
+/**
+ * logging.info('Added 3 users') -> [1.2/1-add-users.js] Added 3 users
+ */
+function createLogger(scope) {
+    return _.reduce(['info', 'warn', 'error'], function (logger, level) {
+        logger[level] = function log(message) {
+            if (!_.isString(message)) {
+                return logging[level](message);
+            }
+
+            logging[level]('[' + scope + '] ' + message);
+        };
+
+        return logger;
+    }, {});
+}
+
+/**
+ * Collects the events of init or migrate:
+ *
+ * {
+ *   command: 'migrate',
+ *   dryRun: false,
+ *   versions: ['1.1'],                                                 [versions with executed tasks]
+ *   executed: [{version: '1.1', name: '1-add-users.js', duration: 10}], [+ statements in dry run mode]
+ *   skipped: [{version: '1.0', name: '1-init.js', reason: 'executed'}], [tasks, which were already executed]
+ *   skippedVersions: [{version: '1.2', reason: 'currentVersion'}],     [versions, which need --force]
+ *   hooks: ['before', 'after'],
+ *   duration: 100
+ * }
+ */
+function createSummary(knexMigrator, options) {
+    var startedAt = Date.now(),
+        summary = {
+            command: options.command,
+            dryRun: !!options.dryRun,
+            versions: [],
+            executed: [],
+            skipped: [],
+            skippedVersions: [],
+            hooks: [],
+            duration: 0
+        },
+        listeners = {
+            'task:end': function (data) {
+                summary.executed.push(_.pick(data, ['version', 'name', 'duration']));
+
+                if (summary.versions.indexOf(data.version) === -1) {
+                    summary.versions.push(data.version);
+                }
+            },
+            'task:skip': function (data) {
+                summary.skipped.push({
+                    version: data.version,
+                    name: data.name,
+                    reason: 'executed'
+                });
+            },
+            'version:skip': function (data) {
+                summary.skippedVersions.push(_.pick(data, ['version', 'reason']));
+            }
+        };
+
+    _.each(['before', 'beforeEach', 'afterEach', 'after', 'onError'], function (hook) {
+        listeners['hook:' + hook] = function () {
+            if (summary.hooks.indexOf(hook) === -1) {
+                summary.hooks.push(hook);
+            }
+        };
+    });
+
+    _.each(listeners, function (listener, event) {
+        knexMigrator.on(event, listener);
+    });
+
+    return {
+        end: function end() {
+            _.each(listeners, function (listener, event) {
+                knexMigrator.removeListener(event, listener);
+            });
+
+            summary.duration = Date.now() - startedAt;
+            return summary;
+        }
+    };
+}
+
+function getMigrationsLookupError(err, dialect) {
+    var type = dialect.classifyError(err);
+
+    // CASE: no database selected (database.connection.database="")
+    if (type === 'DATABASE_NOT_SELECTED') {
+        return new errors.DatabaseIsNotOkError({
+            message: 'Please define a target database in your configuration.',
+            help: 'database: {\n\tconnection:\n\t\tdatabase:"database_name"\n\t}\n}\n',
+            code: 'DB_NOT_INITIALISED'
+        });
+    }
+
+    // CASE: database does not exist
+    if (type === 'DATABASE_NOT_FOUND') {
+        return new errors.DatabaseIsNotOkError({
+            message: 'Please run knex-migrator init',
+            code: 'DB_NOT_INITIALISED'
+        });
+    }
+
+    // CASE: migration table does not exist
+    if (type === 'TABLE_NOT_FOUND') {
+        return new errors.DatabaseIsNotOkError({
+            message: 'Please run knex-migrator init',
+            code: 'MIGRATION_TABLE_IS_MISSING'
+        });
+    }
+
+    return err;
+}
+
 module.exports = KnexMigrator;
@@ -0,0 +1,136 @@
+var fs = require('fs'),
+    _ = require('lodash'),
+    Promise = require('bluebird'),
+    dialects = require('./dialects'),
+    debug = require('debug')('knex-migrator:sql');
+
+var DIALECT_HEADER = /^--\s*dialect:\s*(.+)$/;
+
+/**
+ * Splits the content of a .sql migration script into statements.
+ *
+ * - statements are separated by semicolons
+ * - semicolons in strings, quoted identifiers, comments and dollar quoted strings (pg) are ignored
+ * - a `-- dialect: mysql` (or `-- dialect: mysql, pg`) line starts a section, which is only executed for these dialects
+ * - statements above the first dialect header are executed for all dialects
+ * - mysql only: backslashes escape quotes in strings and `#` starts a line comment
+ *
+ * Returns [{dialects: null, statements: [...]}, {dialects: ['mysql'], statements: [...]}]
+ */
+exports.parse = function parse(sql, options) {
+    options = options || {};
+
+    var isMySQL = dialects.getClientName(options.dialect) === 'mysql',
+        sections = [{dialects: null, statements: []}],
+        statement = '',
+        index = 0,
+        char, next, end, match;
+
+    function addStatement() {
+        if (statement.trim()) {
+            _.last(sections).statements.push(statement.trim());
+        }
+
+        statement = '';
+    }
+
+    function indexAfter(token, fromIndex) {
+        var tokenIndex = sql.indexOf(token, fromIndex);
+        return tokenIndex === -1 ? sql.length : tokenIndex + token.length;
+    }
+
+    while (index < sql.length) {
+        char = sql[index];
+        next = sql[index + 1];
+
+        // CASE: MySQL line comments are removed
+        if (isMySQL && char === '#') {
+            end = sql.indexOf('\n', index);
+            index = end === -1 ? sql.length : end;
+            continue;
+        }
+
+        // CASE: line comments are removed, a dialect header starts a new section
+        if (char === '-' && next === '-') {
+            end = sql.indexOf('\n', index);
+            end = end === -1 ? sql.length : end;
+            match = sql.slice(index, end).trim().match(DIALECT_HEADER);
+
+            if (match) {
+                addStatement();
+                sections.push({
+                    dialects: _.compact(_.map(match[1].split(','), _.trim)),
+                    statements: []
+                });
+            }
+
+            index = end;
+            continue;
+        }
+
+        // CASE: block comments are kept, e.g. MySQL optimizer hints
+        if (char === '/' && next === '*') {
+            end = indexAfter('*/', index + 2);
+        } else if (char === '\'' || char === '"' || char === '`') {
+            end = index + 1;
+
+            while (end < sql.length && sql[end] !== char) {
+                // CASE: MySQL escapes quotes in strings with a backslash, pg and SQLite don't
+                if (isMySQL && char !== '`' && sql[end] === '\\') {
+                    end += 1;
+                }
+
+                end += 1;
+            }
+
+            end += 1;
+        } else if (char === '$' && (match = sql.slice(index).match(/^\$\w*\$/))) {
+            end = indexAfter(match[0], index + match[0].length);
+        } else if (char === ';') {
+            addStatement();
+            index += 1;
+            continue;
+        } else {
+            end = index + 1;
+        }
+
+        statement += sql.slice(index, end);
+        index = end;
+    }
+
+    addStatement();
+    return sections;
+};
+
+/**
+ * Returns the statements of all sections, which match the dialect (or an alias of it, e.g. mysql2).
+ */
+exports.getStatements = function getStatements(sections, dialect) {
+    dialect = dialects.getClientName(dialect);
+
+    return _.flatten(_.map(_.filter(sections, function (section) {
+        return !section.dialects || _.map(section.dialects, dialects.getClientName).indexOf(dialect) !== -1;
+    }), 'statements'));
+};
+
+/**
+ * Wraps a .sql file into a migration script.
+ * The statements are parsed for the dialect of the migration and executed one by one in its transaction.
+ */
+exports.readScript = function readScript(filePath) {
+    var content = fs.readFileSync(filePath, 'utf-8');
+
+    return {
+        execute: function execute(options) {
+            var sections = exports.parse(content, {dialect: options.dialect}),
+                statements = exports.getStatements(sections, options.dialect);
+
+            debug('Execute ' + statements.length + ' statements of ' + filePath);
+
+            return Promise.each(statements, function (statement) {
+                return options.transacting.raw(statement);
+            });
+        },
+        config: {}
+    };
+};
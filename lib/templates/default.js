@@ -0,0 +1,5 @@
+module.exports = function {{name}}(options) {
+    var transacting = options.transacting;
+
+    return Promise.resolve();
+};
@@ -0,0 +1,11 @@
+exports.up = function {{name}}(options) {
+    var transacting = options.transacting;
+
+    return Promise.resolve();
+};
+
+exports.down = function {{name}}Rollback(options) {
+    var transacting = options.transacting;
+
+    return Promise.resolve();
+};
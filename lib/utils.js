@@ -1,13 +1,35 @@
 var path = require('path'),
+    url = require('url'),
+    readline = require('readline'),
     _ = require('lodash'),
     fs = require('fs'),
+    crypto = require('crypto'),
     Promise = require('bluebird'),
     resolve = Promise.promisify(require('resolve')),
+    resolveSync = require('resolve').sync,
     debug = require('debug')('knex-migrator:utils'),
-    errors = require('./errors');
+    errors = require('./errors'),
+    dialects = require('./dialects'),
+    sql = require('./sql'),
+    MANIFEST_FILE = 'manifest.json',
+    SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.sql'],
+    KNEX_CLIENTS = ['mysql', 'mysql2', 'sqlite3', 'pg', 'postgres', 'postgresql', 'mssql', 'oracle', 'oracledb', 'redshift'];
 
-exports.readTasks = function readTasks(absolutePath) {
-    var files = [],
+/**
+ * Reads the migration scripts of a folder.
+ *
+ * Files with an unknown extension (e.g. a README.md) are ignored.
+ * You can add extensions with the compiler option in your MigratorConfig.js.
+ *
+ * `dialect` is your database client, it picks the variant of a script (see getVariants).
+ */
+exports.readTasks = function readTasks(absolutePath, options) {
+    options = options || {};
+
+    var extensions = options.extensions || SCRIPT_EXTENSIONS,
+        dialect = options.dialect,
+        files = [],
+        variants,
         tasks = [];
 
     try {
@@ -19,17 +41,65 @@ exports.readTasks = function readTasks(absolutePath) {
         });
     }
 
-    _.each(files, function (file) {
+    files = _.filter(files, function (file) {
         // CASE: ignore dot files
         if (file.match(/^\./)) {
             debug('Ignore Dotfile: ' + file);
-            return;
+            return false;
         }
 
+        if (extensions.indexOf(path.extname(file)) === -1) {
+            debug('Ignore File: ' + file);
+            return false;
+        }
+
+        return true;
+    });
+
+    variants = exports.getVariants(files, dialect);
+
+    files = exports.sortTasks({
+        files: _.keys(variants),
+        manifest: exports.readManifest(absolutePath)
+    });
+
+    _.each(files, function (name) {
+        var file = variants[name].file || variants[name].variants[0];
+
         try {
+            var filePath = path.join(absolutePath, file),
+                checksum = exports.getChecksum(filePath),
+                script;
+
+            // CASE: the script has only variants for other dialects, it get's recorded without being executed
+            if (!variants[name].file) {
+                debug('No variant for ' + dialect + ': ' + name);
+
+                tasks.push({
+                    execute: skipScript,
+                    rollback: skipScript,
+                    config: {},
+                    checksum: checksum,
+                    name: name
+                });
+                return;
+            }
+
+            // CASE: ES modules can only be loaded asynchronously, we load them when they get executed
+            if (path.extname(file) === '.mjs') {
+                script = exports.importScript(filePath);
+            } else if (path.extname(file) === '.sql') {
+                script = sql.readScript(filePath);
+            } else {
+                script = exports.getScript(require(filePath));
+            }
+
             tasks.push({
-                execute: require(path.join(absolutePath, file)),
-                name: file
+                execute: script.execute,
+                rollback: script.rollback,
+                config: script.config,
+                checksum: checksum,
+                name: name
             });
         } catch (err) {
             debug(err.message);
@@ -46,6 +116,292 @@ exports.readTasks = function readTasks(absolutePath) {
     return tasks;
 };
 
+/**
+ * 1-add-index.mysql.js and 1-add-index.sqlite3.js are variants of the task 1-add-index.js.
+ * The variant of your dialect is executed and recorded as 1-add-index.js, a script without dialect is the fallback.
+ * Client aliases are matched by their name, e.g. 1-add-index.mysql.js is the variant of mysql2.
+ *
+ * Returns {'1-add-index.js': {file: '1-add-index.mysql.js', variants: ['1-add-index.mysql.js', '1-add-index.sqlite3.js']}}
+ */
+exports.getVariants = function getVariants(files, dialect) {
+    var tasks = {};
+
+    dialect = dialects.getClientName(dialect);
+
+    _.each(files, function (file) {
+        var match = file.match(/^(.+)\.(\w+)(\.\w+)$/),
+            isVariant = !!match && (KNEX_CLIENTS.indexOf(match[2]) !== -1 || match[2] === dialect),
+            name = isVariant ? match[1] + match[3] : file,
+            task = tasks[name] = tasks[name] || {file: null, variants: []};
+
+        if (!isVariant) {
+            task.file = task.file || file;
+            return;
+        }
+
+        task.variants.push(file);
+
+        if (dialects.getClientName(match[2]) === dialect) {
+            task.file = file;
+        }
+    });
+
+    return tasks;
+};
+
+function skipScript() {
+    return Promise.resolve();
+}
+
+/**
+ * A migration script exports:
+ *
+ *   - a function: module.exports = function (options) {}
+ *   - up and down: module.exports = {up: function (options) {}, down: function (options) {}}
+ *   - a default export: export default async function (options) {}
+ */
+exports.getScript = function getScript(script) {
+    var config = script && script.config,
+        scriptDialects = script && script.dialects;
+
+    // CASE: ES module or compiled module (e.g. TypeScript) with a default export
+    if (script && !_.isFunction(script) && script.default) {
+        script = script.default;
+        config = config || script.config;
+        scriptDialects = scriptDialects || script.dialects;
+    }
+
+    // CASE: e.g. exports.dialects = ['mysql'], the script is recorded, but only executed for these dialects
+    function forDialects(fn) {
+        if (!fn || !scriptDialects) {
+            return fn;
+        }
+
+        return function executeForDialects(options) {
+            if (_.map(scriptDialects, dialects.getClientName).indexOf(dialects.getClientName(options.dialect)) === -1) {
+                debug('Skip script for dialect: ' + options.dialect);
+                return Promise.resolve();
+            }
+
+            return fn(options);
+        };
+    }
+
+    if (_.isFunction(script)) {
+        return {
+            execute: forDialects(script),
+            config: config || {}
+        };
+    }
+
+    // CASE: reversible migration script, which exports up and down
+    if (!script || !_.isFunction(script.up)) {
+        throw new Error('Migration script needs to export a function or an up function.');
+    }
+
+    return {
+        execute: forDialects(script.up),
+        rollback: forDialects(script.down),
+        config: config || script.config || {}
+    };
+};
+
+/**
+ * Dynamic import works without flags since node 12.17 (and 13.2).
+ */
+exports.canImportModules = function canImportModules() {
+    var version = process.versions.node.split('.').map(Number);
+
+    return version[0] > 13 || (version[0] === 13 && version[1] >= 2) || (version[0] === 12 && version[1] >= 17);
+};
+
+/**
+ * Loads an ES module via dynamic import, when the script gets executed or rolled back.
+ * The config of an ES module is not supported, because we need it before the execution.
+ */
+exports.importScript = function importScript(filePath) {
+    if (!exports.canImportModules()) {
+        throw new Error('ES modules need node 12.17 or higher.');
+    }
+
+    var load = _.once(function () {
+        return Promise.resolve(require('./import')(url.pathToFileURL(filePath).href))
+            .then(exports.getScript)
+            .then(function (script) {
+                // CASE: e.g. {transaction: false} would be ignored, the transaction is started before we load the script
+                if (!_.isEmpty(script.config)) {
+                    throw new Error('ES modules can\'t export a config, use a .js or .cjs file.');
+                }
+
+                return script;
+            });
+    });
+
+    return {
+        execute: function execute(options) {
+            return load().then(function (script) {
+                return script.execute(options);
+            });
+        },
+        rollback: function rollback(options) {
+            return load().then(function (script) {
+                if (!script.rollback) {
+                    throw new Error('Migration script does not export a down function.');
+                }
+
+                return script.rollback(options);
+            });
+        },
+        config: {}
+    };
+};
+
+/**
+ * compiler: {
+ *   extensions: ['.ts'],
+ *   register: 'ts-node/register'       [module of your project or a function]
+ * }
+ */
+exports.registerCompiler = function registerCompiler(options) {
+    var compiler = options.compiler;
+
+    if (!compiler) {
+        return SCRIPT_EXTENSIONS;
+    }
+
+    try {
+        if (_.isFunction(compiler.register)) {
+            compiler.register();
+        } else if (compiler.register) {
+            require(resolveSync(compiler.register, {basedir: options.basePath}));
+        }
+    } catch (err) {
+        throw new errors.KnexMigrateError({
+            message: 'Cannot register compiler: ' + (_.isString(compiler.register) ? compiler.register : 'function'),
+            help: 'Please install the compiler in your project.',
+            err: err
+        });
+    }
+
+    return _.union(SCRIPT_EXTENSIONS, compiler.extensions);
+};
+
+/**
+ * A version folder can contain a manifest.json, which lists the order of the migration scripts.
+ * e.g. ["1-create-table.js", "2-add-index.js"]
+ */
+exports.readManifest = function readManifest(absolutePath) {
+    var manifestPath = path.join(absolutePath, MANIFEST_FILE),
+        manifest;
+
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch (err) {
+        throw new errors.MigrationScript({
+            message: 'Cannot parse manifest: ' + manifestPath,
+            err: err
+        });
+    }
+
+    if (!_.isArray(manifest)) {
+        throw new errors.MigrationScript({
+            message: 'Manifest needs to be a list of file names: ' + manifestPath
+        });
+    }
+
+    return manifest;
+};
+
+/**
+ * Without manifest, we sort the files by their numeric prefix (2-a.js before 10-b.js).
+ * Files without prefix are executed last.
+ */
+exports.sortTasks = function sortTasks(options) {
+    var files = options.files,
+        manifest = options.manifest,
+        duplicates;
+
+    if (manifest) {
+        _.each(manifest, function (file) {
+            if (files.indexOf(file) === -1) {
+                throw new errors.MigrationScript({
+                    message: 'Migration script of manifest does not exist: ' + file
+                });
+            }
+        });
+
+        _.each(files, function (file) {
+            if (manifest.indexOf(file) === -1) {
+                throw new errors.MigrationScript({
+                    message: 'Migration script is not listed in manifest: ' + file
+                });
+            }
+        });
+
+        return manifest.slice();
+    }
+
+    duplicates = _.filter(_.groupBy(files, exports.getPrefix), function (group, prefix) {
+        return prefix !== 'null' && group.length > 1;
+    });
+
+    if (duplicates.length) {
+        throw new errors.MigrationScript({
+            message: 'Migration scripts have the same prefix: ' + _.flatten(duplicates).join(', '),
+            help: 'Please rename the migration scripts or add a manifest.json to define the order.'
+        });
+    }
+
+    return files.slice().sort(function (fileA, fileB) {
+        var prefixA = exports.getPrefix(fileA),
+            prefixB = exports.getPrefix(fileB);
+
+        if (prefixA === prefixB) {
+            return fileA < fileB ? -1 : (fileA > fileB ? 1 : 0);
+        }
+
+        if (prefixA === null) {
+            return 1;
+        }
+
+        if (prefixB === null) {
+            return -1;
+        }
+
+        return prefixA - prefixB;
+    });
+};
+
+/**
+ * 2-create-table.js -> 2, a file without prefix returns null.
+ */
+exports.getPrefix = function getPrefix(file) {
+    var match = file.match(/^(\d+)/);
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Returns the prefix for a new migration script, which is ordered after all existing scripts.
+ */
+exports.getNextPrefix = function getNextPrefix(files) {
+    var prefixes = _.compact(_.map(files, exports.getPrefix));
+
+    return (_.max(prefixes) || 0) + 1;
+};
+
+/**
+ * We remember the checksum of each executed script to detect changes of already executed scripts.
+ */
+exports.getChecksum = function getChecksum(absolutePath) {
+    return crypto.createHash('sha1')
+        .update(fs.readFileSync(absolutePath))
+        .digest('hex');
+};
+
 exports.readFolders = function readFolders(absolutePath) {
     var folders = [];
 
@@ -89,19 +445,277 @@ exports.getKnexMigrator = function getKnexMigrator(options) {
         });
 };
 
+/**
+ * CLI options of all sub-commands
+ *
+ * --cwd <dir>: changes the working directory, because config files often use process.cwd()
+ * --config <file> or [config]: path to your config file (.js or .json) or the folder of your MigratorConfig.js
+ * --env <name>: environment of your config, falls back to NODE_ENV
+ */
+exports.getCLIOptions = function getCLIOptions(program) {
+    var config = program.config || program.args[0];
+
+    if (program.cwd) {
+        try {
+            process.chdir(program.cwd);
+        } catch (err) {
+            throw new errors.KnexMigrateError({
+                message: 'Cannot change working directory: ' + program.cwd,
+                err: err
+            });
+        }
+    }
+
+    return {
+        knexMigratorFilePath: config ? path.resolve(config) : process.cwd(),
+        env: program.env
+    };
+};
+
+/**
+ * Exit codes of the CLI, deploy scripts can branch on them.
+ */
+exports.EXIT_CODES = {
+    SUCCESS: 0,
+    FAILED: 1,
+    CONFIG_INVALID: 2,
+    DB_NOT_INITIALISED: 3,
+    DB_NEEDS_MIGRATION: 4,
+    MIGRATION_CHECKSUM_MISMATCH: 5,
+    MIGRATIONS_ARE_LOCKED: 6,
+    MIGRATION_SCRIPT_FAILED: 7
+};
+
+exports.getExitCode = function getExitCode(err) {
+    if (!err) {
+        return exports.EXIT_CODES.SUCCESS;
+    }
+
+    switch (err.code) {
+        case 'CONFIG_INVALID':
+        case 'CONFIG_NOT_FOUND':
+            return exports.EXIT_CODES.CONFIG_INVALID;
+        case 'DB_NOT_INITIALISED':
+        case 'MIGRATION_TABLE_IS_MISSING':
+            return exports.EXIT_CODES.DB_NOT_INITIALISED;
+        case 'DB_NEEDS_MIGRATION':
+            return exports.EXIT_CODES.DB_NEEDS_MIGRATION;
+        case 'MIGRATION_CHECKSUM_MISMATCH':
+            return exports.EXIT_CODES.MIGRATION_CHECKSUM_MISMATCH;
+        case 'MIGRATIONS_ARE_LOCKED':
+            return exports.EXIT_CODES.MIGRATIONS_ARE_LOCKED;
+    }
+
+    if (err instanceof errors.MigrationScript) {
+        return exports.EXIT_CODES.MIGRATION_SCRIPT_FAILED;
+    }
+
+    return exports.EXIT_CODES.FAILED;
+};
+
+/**
+ * CLI: prints the result (--json) or the success message and sets the exit code.
+ */
+exports.onCLISuccess = function onCLISuccess(options) {
+    if (options.program.json) {
+        console.log(JSON.stringify({
+            ok: true,
+            result: options.result === undefined ? null : options.result
+        }, null, 2));
+    } else if (options.message) {
+        options.logging.info(options.message);
+    }
+
+    process.exitCode = exports.EXIT_CODES.SUCCESS;
+};
+
+/**
+ * CLI: asks the user for confirmation, --yes skips the question.
+ * The question is written to stderr, the --json output stays clean.
+ */
+exports.confirm = function confirm(options) {
+    var input = options.input || process.stdin,
+        output = options.output || process.stderr;
+
+    if (options.yes) {
+        return Promise.resolve(true);
+    }
+
+    if (!options.input && !input.isTTY) {
+        return Promise.reject(new errors.KnexMigrateError({
+            message: 'Cannot ask for confirmation.',
+            help: 'Please pass --yes to confirm.'
+        }));
+    }
+
+    return new Promise(function (resolve) {
+        var rl = readline.createInterface({
+            input: input,
+            output: output
+        });
+
+        rl.question(options.question + ' (y/N) ', function (answer) {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+};
+
+/**
+ * CLI: prints the error (--json) or logs it and sets the exit code.
+ */
+exports.onCLIError = function onCLIError(options) {
+    var err = options.err;
+
+    process.exitCode = exports.getExitCode(err);
+
+    if (!options.program.json) {
+        return options.logging.error(err);
+    }
+
+    console.log(JSON.stringify({
+        ok: false,
+        error: {
+            errorType: err.errorType || err.name,
+            code: err.code || null,
+            message: err.message,
+            context: err.context || null,
+            help: err.help || null,
+            errorDetails: err.errorDetails || null,
+            exitCode: process.exitCode
+        }
+    }, null, 2));
+};
+
 /**
  * valid versions
  *
  * 1
  * 1.1
  * 1.1.0
+ * 2.0.0-beta.1
+ *
+ * Versions are compared segment by segment, a missing segment counts as 0 (1.1 equals 1.1.0).
+ * A pre-release is smaller than the release (2.0.0-beta.1 < 2.0.0).
  */
+exports.compareVersions = function compareVersions(versionA, versionB) {
+    function parse(version) {
+        var parts = String(version).replace(/^v/, '').split('-'),
+            release = parts.shift(),
+            preRelease = parts.join('-');
+
+        return {
+            release: _.map(release.split(/[._]/), function (segment) {
+                return Number(segment) || 0;
+            }),
+            preRelease: preRelease ? preRelease.split('.') : []
+        };
+    }
+
+    function compareIdentifiers(a, b) {
+        var aIsNumber = /^\d+$/.test(a),
+            bIsNumber = /^\d+$/.test(b);
+
+        // CASE: numeric identifiers have lower precedence than alphanumeric identifiers
+        if (aIsNumber && bIsNumber) {
+            a = Number(a);
+            b = Number(b);
+        } else if (aIsNumber) {
+            return -1;
+        } else if (bIsNumber) {
+            return 1;
+        }
+
+        if (a === b) {
+            return 0;
+        }
+
+        return a > b ? 1 : -1;
+    }
+
+    var a = parse(versionA),
+        b = parse(versionB),
+        i, result;
+
+    for (i = 0; i < Math.max(a.release.length, b.release.length); i = i + 1) {
+        if ((a.release[i] || 0) !== (b.release[i] || 0)) {
+            return (a.release[i] || 0) > (b.release[i] || 0) ? 1 : -1;
+        }
+    }
+
+    if (!a.preRelease.length && b.preRelease.length) {
+        return 1;
+    }
+
+    if (a.preRelease.length && !b.preRelease.length) {
+        return -1;
+    }
+
+    for (i = 0; i < Math.max(a.preRelease.length, b.preRelease.length); i = i + 1) {
+        if (a.preRelease[i] === undefined) {
+            return -1;
+        }
+
+        if (b.preRelease[i] === undefined) {
+            return 1;
+        }
+
+        result = compareIdentifiers(a.preRelease[i], b.preRelease[i]);
+
+        if (result !== 0) {
+            return result;
+        }
+    }
+
+    return 0;
+};
+
+exports.isValidVersion = function isValidVersion(version) {
+    return /^v?\d+(?:[._]\d+)*(?:-[0-9A-Za-z.-]+)?$/.test(String(version));
+};
+
 exports.isGreaterThanVersion = function isGreaterThanVersion(options) {
-    var greaterVersion = options.greaterVersion;
-    var smallerVersion = options.smallerVersion;
+    return exports.compareVersions(options.greaterVersion, options.smallerVersion) > 0;
+};
+
+/**
+ * The init folder is always first, the versions are sorted ascending.
+ */
+exports.sortVersions = function sortVersions(versions) {
+    return versions.slice().sort(function (versionA, versionB) {
+        if (versionA === 'init') {
+            return versionB === 'init' ? 0 : -1;
+        }
+
+        if (versionB === 'init') {
+            return 1;
+        }
+
+        return exports.compareVersions(versionA, versionB);
+    });
+};
 
-    greaterVersion = Number(greaterVersion.toString().replace(/\./g, ''));
-    smallerVersion = Number(smallerVersion.toString().replace(/\./g, ''));
+/**
+ * versions/1.1 -> 1.1
+ * versions/1.1-members -> 1.1
+ * versions/1.1-preview -> 1.1
+ * versions/2.0.0-beta.1 -> 2.0.0-beta.1
+ *
+ * Only alpha, beta and rc (with an optional number) are pre-releases, any other suffix names a feature.
+ */
+exports.parseVersionFolder = function parseVersionFolder(folder) {
+    var match = folder.match(/\d+(?:[._]\d+)*(?:-(?:alpha|beta|rc)(?:\.\d+)?$)?/i);
+
+    return match ? match[0] : null;
+};
+
+/**
+ * Older knex-migrator versions recorded the leading digits of a version folder only.
+ *
+ * versions/2.0.0-beta.1 -> 2.0.0
+ */
+exports.getLegacyVersion = function getLegacyVersion(folder) {
+    var match = folder.match(/[\d._]+/);
 
-    return greaterVersion > smallerVersion;
+    return match ? match[0] : null;
 };
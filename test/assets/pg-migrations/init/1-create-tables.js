@@ -0,0 +1,5 @@
+module.exports = function createTables(options) {
+    return options.transacting.schema.createTable('users', function (table) {
+        table.string('name', 100);
+    });
+};
\ No newline at end of file
@@ -0,0 +1,3 @@
+module.exports = function seed(options) {
+    return options.transacting('users').insert({name: 'Hausweib'});
+};
\ No newline at end of file
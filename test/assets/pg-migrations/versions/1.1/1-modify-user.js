@@ -0,0 +1,3 @@
+module.exports = function modifyUser(options) {
+    return options.transacting('users').update({name: 'Hausmann'});
+};
\ No newline at end of file
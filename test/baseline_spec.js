@@ -0,0 +1,140 @@
+var KnexMigrator = require('../lib'),
+    errors = require('../lib/errors'),
+    helpers = require('./helpers'),
+    should = require('should'),
+    knex = require('knex');
+
+describe('Baseline', function () {
+    var project,
+        knexMigrator,
+        connection;
+
+    before(function () {
+        var neverExecuted = 'module.exports = function () { throw new Error("Should not be executed."); };';
+
+        project = helpers.createProject({
+            name: 'baseline',
+            folders: ['versions'],
+            config: {currentVersion: '1.2'}
+        });
+
+        helpers.writeScript(project.migrationPath, 'init', '1-create-tables.js', neverExecuted);
+        helpers.writeScript(project.migrationPath, '1.0', '1-add-users.js', neverExecuted);
+        helpers.writeScript(project.migrationPath, '1.1', '1-add-posts.js', neverExecuted);
+        helpers.writeScript(project.migrationPath, '1.2', '1-add-email.js', '' +
+            'module.exports = function (options) {' +
+            'return options.transacting.schema.table("users", function (table) { table.string("email"); });' +
+            '};');
+
+        knexMigrator = new KnexMigrator({
+            knexMigratorFilePath: project.folder
+        });
+
+        connection = knex({
+            client: 'sqlite3',
+            connection: {filename: project.dbFile},
+            useNullAsDefault: true
+        });
+
+        // CASE: existing database, which was not created by knex-migrator
+        return connection.schema.createTable('users', function (table) {
+            table.increments();
+            table.string('name');
+        });
+    });
+
+    after(function () {
+        return connection.destroy()
+            .then(function () {
+                helpers.remove(project.folder);
+            });
+    });
+
+    it('version is missing', function () {
+        return knexMigrator.baseline()
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.message.should.eql('Please define the version of your database.');
+            });
+    });
+
+    it('version is not valid', function () {
+        return knexMigrator.baseline({version: 'latest'})
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.message.should.eql('Version is not valid: latest');
+            });
+    });
+
+    it('dry run lists the scripts without recording them', function () {
+        return knexMigrator.baseline({version: '1.1', dryRun: true})
+            .then(function (result) {
+                result.should.eql({
+                    version: '1.1',
+                    dryRun: true,
+                    tasks: [
+                        {version: 'init', name: '1-create-tables.js'},
+                        {version: '1.0', name: '1-add-users.js'},
+                        {version: '1.1', name: '1-add-posts.js'}
+                    ]
+                });
+
+                return connection.schema.hasTable('migrations');
+            })
+            .then(function (exists) {
+                exists.should.eql(false);
+            });
+    });
+
+    it('records the scripts up to the version without running them', function () {
+        return knexMigrator.baseline({version: '1.1'})
+            .then(function (result) {
+                result.dryRun.should.eql(false);
+                result.tasks.length.should.eql(3);
+
+                return connection('migrations').orderBy('id');
+            })
+            .then(function (migrations) {
+                migrations.map(function (migration) {
+                    return [migration.version, migration.name, migration.currentVersion, migration.batch];
+                }).should.eql([
+                    ['init', '1-create-tables.js', '1.1', 1],
+                    ['1.0', '1-add-users.js', '1.1', 1],
+                    ['1.1', '1-add-posts.js', '1.1', 1]
+                ]);
+
+                should.exist(migrations[0].checksum);
+
+                return knexMigrator.isDatabaseOK();
+            })
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.code.should.eql('DB_NEEDS_MIGRATION');
+            });
+    });
+
+    it('scripts, which are already recorded, are skipped', function () {
+        return knexMigrator.baseline({version: '1.1'})
+            .then(function (result) {
+                result.tasks.should.eql([]);
+            });
+    });
+
+    it('migrate executes the newer versions', function () {
+        return knexMigrator.migrate()
+            .then(function (summary) {
+                summary.executed.map(function (task) {
+                    return task.version + '/' + task.name;
+                }).should.eql(['1.2/1-add-email.js']);
+
+                return knexMigrator.isDatabaseOK();
+            });
+    });
+});
@@ -0,0 +1,134 @@
+var KnexMigrator = require('../lib'),
+    errors = require('../lib/errors'),
+    utils = require('../lib/utils'),
+    helpers = require('./helpers'),
+    should = require('should'),
+    path = require('path'),
+    fs = require('fs');
+
+describe('Create', function () {
+    var folder,
+        migrationPath,
+        knexMigrator;
+
+    beforeEach(function () {
+        var project = helpers.createProject({
+            name: 'create',
+            folders: ['versions'],
+            config: {currentVersion: '1.2'}
+        });
+
+        folder = project.folder;
+        migrationPath = project.migrationPath;
+
+        knexMigrator = new KnexMigrator({
+            knexMigratorFilePath: folder
+        });
+    });
+
+    after(function () {
+        helpers.remove(folder);
+    });
+
+    it('creates the folder of the current version', function () {
+        return knexMigrator.create({name: 'Add users table'})
+            .then(function (filePath) {
+                filePath.should.eql(path.join(migrationPath, 'versions', '1.2', '1-add-users-table.js'));
+                fs.readFileSync(filePath, 'utf-8').should.match(/module\.exports = function addUsersTable\(options\)/);
+
+                utils.readTasks(path.dirname(filePath))[0].name.should.eql('1-add-users-table.js');
+            });
+    });
+
+    it('fresh project without init or versions folder', function () {
+        fs.rmdirSync(path.join(migrationPath, 'versions'));
+
+        try {
+            new KnexMigrator({knexMigratorFilePath: folder});
+            throw new Error('Expected error.');
+        } catch (err) {
+            (err instanceof errors.ConfigValidationError).should.eql(true);
+        }
+
+        knexMigrator = new KnexMigrator({
+            knexMigratorFilePath: folder,
+            requireMigrationFolders: false
+        });
+
+        return knexMigrator.create({name: 'add-users'})
+            .then(function (filePath) {
+                filePath.should.eql(path.join(migrationPath, 'versions', '1.2', '1-add-users.js'));
+            });
+    });
+
+    it('reserved word', function () {
+        return knexMigrator.create({name: 'delete'})
+            .then(function (filePath) {
+                fs.readFileSync(filePath, 'utf-8').should.match(/module\.exports = function _delete\(options\)/);
+                require(filePath).should.be.a.Function();
+            });
+    });
+
+    it('uses the next free prefix', function () {
+        fs.mkdirSync(path.join(migrationPath, 'versions', '1.2'));
+        fs.writeFileSync(path.join(migrationPath, 'versions', '1.2', '2-a.js'), '');
+        fs.writeFileSync(path.join(migrationPath, 'versions', '1.2', '10-b.js'), '');
+
+        return knexMigrator.create({name: 'c.js'})
+            .then(function (filePath) {
+                path.basename(filePath).should.eql('11-c.js');
+            });
+    });
+
+    it('init', function () {
+        return knexMigrator.create({name: 'create-tables', init: true})
+            .then(function (filePath) {
+                filePath.should.eql(path.join(migrationPath, 'init', '1-create-tables.js'));
+            });
+    });
+
+    it('up and down', function () {
+        return knexMigrator.create({name: 'add-index', upDown: true})
+            .then(function (filePath) {
+                var script = require(filePath);
+
+                script.up.should.be.a.Function();
+                script.down.should.be.a.Function();
+            });
+    });
+
+    it('custom template', function () {
+        fs.mkdirSync(path.join(migrationPath, 'templates'));
+        fs.writeFileSync(path.join(migrationPath, 'templates', 'default.js'), '// {{name}}');
+
+        return knexMigrator.create({name: 'add-index'})
+            .then(function (filePath) {
+                fs.readFileSync(filePath, 'utf-8').should.eql('// addIndex');
+            });
+    });
+
+    it('adds the script to the manifest', function () {
+        fs.mkdirSync(path.join(migrationPath, 'versions', '1.2'));
+        fs.writeFileSync(path.join(migrationPath, 'versions', '1.2', '2-a.js'), 'module.exports = function () {};');
+        fs.writeFileSync(path.join(migrationPath, 'versions', '1.2', '1-b.js'), 'module.exports = function () {};');
+        fs.writeFileSync(path.join(migrationPath, 'versions', '1.2', 'manifest.json'), JSON.stringify(['2-a.js', '1-b.js']));
+
+        return knexMigrator.create({name: 'c'})
+            .then(function () {
+                utils.readTasks(path.join(migrationPath, 'versions', '1.2')).map(function (task) {
+                    return task.name;
+                }).should.eql(['2-a.js', '1-b.js', '3-c.js']);
+            });
+    });
+
+    it('name is missing', function () {
+        return knexMigrator.create({})
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                should.exist(err.message.match(/Please define a name/));
+            });
+    });
+});
@@ -0,0 +1,166 @@
+var dialects = require('../lib/dialects'),
+    database = require('../lib/database'),
+    errors = require('../lib/errors'),
+    KnexMigrator = require('../lib'),
+    should = require('should'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os');
+
+describe('Dialects', function () {
+    describe('getDialect', function () {
+        var adapterFolder = path.join(os.tmpdir(), 'knex-migrator-dialects'),
+            adapterPath = path.join(adapterFolder, 'adapter.js'),
+            migratorConfigPath = path.join(adapterFolder, 'MigratorConfig.js');
+
+        before(function () {
+            if (!fs.existsSync(adapterFolder)) {
+                fs.mkdirSync(adapterFolder);
+            }
+
+            fs.writeFileSync(adapterPath, '' +
+                'exports.createDatabaseIfNotExist = function () {};' +
+                'exports.drop = function () {};' +
+                'exports.listTables = function () {};' +
+                'exports.classifyError = function () { return "TABLE_NOT_FOUND"; };');
+
+            fs.writeFileSync(migratorConfigPath, '' +
+                'module.exports = {' +
+                '  database: {client: "mssql", connection: {}},' +
+                '  dialect: "./adapter.js",' +
+                '  migrationPath: ' + JSON.stringify(path.join(__dirname, 'assets/migrations')) + ',' +
+                '  currentVersion: "1.0"' +
+                '};');
+        });
+
+        after(function () {
+            fs.unlinkSync(adapterPath);
+            fs.unlinkSync(migratorConfigPath);
+            fs.rmdirSync(adapterFolder);
+        });
+
+        it('built-in dialects', function () {
+            dialects.getDialect({client: 'mysql'}).should.eql(require('../lib/dialects/mysql'));
+            dialects.getDialect({client: 'sqlite3'}).should.eql(require('../lib/dialects/sqlite3'));
+            dialects.getDialect({client: 'pg'}).should.eql(require('../lib/dialects/pg'));
+        });
+
+        it('built-in dialects implement the adapter interface', function () {
+            ['mysql', 'sqlite3', 'pg'].forEach(function (client) {
+                var dialect = dialects.getDialect({client: client});
+
+                ['createDatabaseIfNotExist', 'drop', 'listTables', 'classifyError'].forEach(function (fn) {
+                    dialect[fn].should.be.a.Function();
+                });
+            });
+        });
+
+        it('client aliases', function () {
+            dialects.getClientName('mysql2').should.eql('mysql');
+            dialects.getClientName('postgres').should.eql('pg');
+            dialects.getClientName('postgresql').should.eql('pg');
+            dialects.getClientName('sqlite3').should.eql('sqlite3');
+        });
+
+        it('client is not supported', function () {
+            try {
+                dialects.getDialect({client: 'mssql'});
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.message.should.eql('Database client not supported: mssql');
+            }
+        });
+
+        it('custom adapter is resolved relative to the base path', function () {
+            dialects.getDialect({
+                client: 'mssql',
+                adapter: './adapter.js',
+                basePath: adapterFolder
+            }).should.eql(require(adapterPath));
+        });
+
+        it('custom adapter does not implement all functions', function () {
+            try {
+                dialects.getDialect({
+                    client: 'mssql',
+                    adapter: {
+                        drop: function () {}
+                    }
+                });
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.message.should.eql('Dialect adapter needs to implement: createDatabaseIfNotExist');
+            }
+        });
+
+        it('custom adapter can be named in MigratorConfig.js', function () {
+            var knexMigrator = new KnexMigrator({
+                knexMigratorFilePath: adapterFolder
+            });
+
+            knexMigrator.dialect.should.eql(require(adapterPath));
+        });
+    });
+
+    describe('classifyError', function () {
+        it('mysql', function () {
+            var mysql = dialects.getDialect({client: 'mysql'});
+
+            mysql.classifyError({errno: 1046}).should.eql('DATABASE_NOT_SELECTED');
+            mysql.classifyError({errno: 1049}).should.eql('DATABASE_NOT_FOUND');
+            mysql.classifyError({errno: 1146}).should.eql('TABLE_NOT_FOUND');
+            mysql.classifyError({errno: 1071, code: 'ER_TOO_LONG_KEY'}).should.eql('KEY_TOO_LONG');
+            should.not.exist(mysql.classifyError({errno: 1062}));
+        });
+
+        it('sqlite3', function () {
+            var sqlite3 = dialects.getDialect({client: 'sqlite3'});
+
+            sqlite3.classifyError({errno: 1, message: 'SQLITE_ERROR: no such table: migrations'}).should.eql('TABLE_NOT_FOUND');
+            should.not.exist(sqlite3.classifyError({errno: 1, message: 'SQLITE_ERROR: near "SELEC": syntax error'}));
+        });
+
+        it('pg', function () {
+            var pg = dialects.getDialect({client: 'pg'});
+
+            pg.classifyError({code: '3D000'}).should.eql('DATABASE_NOT_FOUND');
+            pg.classifyError({code: '42P01'}).should.eql('TABLE_NOT_FOUND');
+            should.not.exist(pg.classifyError({code: '23505'}));
+        });
+    });
+
+    describe('listTables', function () {
+        var databaseFile = path.join(__dirname, 'knex-migrator-dialects.db'),
+            dbConfig = {
+                client: 'sqlite3',
+                connection: {
+                    filename: databaseFile
+                }
+            },
+            connection;
+
+        before(function () {
+            connection = database.connect(dbConfig);
+
+            return connection.schema.createTable('users', function (table) {
+                table.increments();
+            });
+        });
+
+        after(function () {
+            return connection.destroy()
+                .then(function () {
+                    fs.unlinkSync(databaseFile);
+                });
+        });
+
+        it('sqlite3', function () {
+            return database.listTables({connection: connection, dbConfig: dbConfig})
+                .then(function (tables) {
+                    tables.should.eql(['users']);
+                });
+        });
+    });
+});
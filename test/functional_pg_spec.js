@@ -0,0 +1,196 @@
+var KnexMigrator = require('../lib'),
+    errors = require('../lib/errors'),
+    _ = require('lodash'),
+    knex = require('knex'),
+    should = require('should'),
+    path = require('path'),
+    os = require('os'),
+    fs = require('fs');
+
+/**
+ * Runs against a local Postgres, e.g.
+ * PGHOST=127.0.0.1 PGUSER=postgres PGPASSWORD=postgres npm test
+ */
+(process.env.PGHOST ? describe : describe.skip)('Functional flow test: pg', function () {
+    var knexMigrator,
+        databaseName = 'knex_migrator_test',
+        migratorConfigFolder = path.join(os.tmpdir(), 'knex-migrator-pg'),
+        migratorConfigPath = path.join(migratorConfigFolder, 'MigratorConfig.js'),
+        connectionConfig = {
+            host: process.env.PGHOST,
+            port: process.env.PGPORT || 5432,
+            user: process.env.PGUSER,
+            password: process.env.PGPASSWORD,
+            database: databaseName
+        },
+        connection;
+
+    this.timeout(10 * 1000);
+
+    function dropDatabase() {
+        var maintenanceConnection = knex({
+            client: 'pg',
+            connection: _.merge({}, connectionConfig, {database: 'postgres'})
+        });
+
+        return maintenanceConnection.raw('DROP DATABASE IF EXISTS ' + databaseName + ';')
+            .finally(function () {
+                return maintenanceConnection.destroy();
+            });
+    }
+
+    function getTables(schema) {
+        return connection.raw('SELECT tablename FROM pg_tables WHERE schemaname = ? ORDER BY tablename;', [schema])
+            .then(function (result) {
+                return _.map(result.rows, 'tablename');
+            });
+    }
+
+    function writeMigratorConfig(options) {
+        delete require.cache[migratorConfigPath];
+
+        fs.writeFileSync(migratorConfigPath, 'module.exports = ' + JSON.stringify({
+            database: {
+                client: 'pg',
+                connection: _.merge({}, connectionConfig, {schema: options.schema})
+            },
+            migrationPath: path.join(__dirname, 'assets/pg-migrations'),
+            currentVersion: '1.0'
+        }) + ';', 'utf-8');
+
+        return new KnexMigrator({
+            knexMigratorFilePath: migratorConfigFolder
+        });
+    }
+
+    before(function () {
+        if (!fs.existsSync(migratorConfigFolder)) {
+            fs.mkdirSync(migratorConfigFolder);
+        }
+
+        knexMigrator = writeMigratorConfig({});
+
+        return dropDatabase();
+    });
+
+    after(function () {
+        return Promise.resolve(connection && connection.destroy())
+            .then(dropDatabase)
+            .then(function () {
+                fs.unlinkSync(migratorConfigPath);
+                fs.rmdirSync(migratorConfigFolder);
+            });
+    });
+
+    it('is database ok? --> no, because the database does not exist', function () {
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                throw new Error('Database should be NOT ok!');
+            })
+            .catch(function (err) {
+                (err instanceof errors.DatabaseIsNotOkError).should.eql(true);
+                err.code.should.eql('DB_NOT_INITIALISED');
+            });
+    });
+
+    it('init creates the database', function () {
+        return knexMigrator.init()
+            .then(function () {
+                connection = knex({
+                    client: 'pg',
+                    connection: connectionConfig
+                });
+
+                return connection('users');
+            })
+            .then(function (users) {
+                users.length.should.eql(1);
+                users[0].name.should.eql('Hausweib');
+
+                return connection('migrations').orderBy('id');
+            })
+            .then(function (migrations) {
+                migrations.length.should.eql(2);
+                migrations[0].name.should.eql('1-create-tables.js');
+                migrations[0].version.should.eql('init');
+                migrations[0].batch.should.eql(1);
+
+                return knexMigrator.isDatabaseOK();
+            });
+    });
+
+    it('init is idempotent', function () {
+        return knexMigrator.init()
+            .then(function () {
+                return connection('migrations');
+            })
+            .then(function (migrations) {
+                migrations.length.should.eql(2);
+            });
+    });
+
+    it('migrate', function () {
+        knexMigrator.currentVersion = '1.1';
+
+        return knexMigrator.migrate()
+            .then(function () {
+                return connection('users');
+            })
+            .then(function (users) {
+                users[0].name.should.eql('Hausmann');
+                return knexMigrator.isDatabaseOK();
+            })
+            .then(function () {
+                return knexMigrator.status();
+            })
+            .then(function (migrations) {
+                _.uniq(_.map(migrations, 'state')).should.eql(['applied']);
+            });
+    });
+
+    it('reset drops all tables of the schema', function () {
+        return knexMigrator.reset()
+            .then(function () {
+                return getTables('public');
+            })
+            .then(function (tables) {
+                tables.should.eql([]);
+            });
+    });
+
+    it('is database ok? --> no, because the migrations table is missing', function () {
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                throw new Error('Database should be NOT ok!');
+            })
+            .catch(function (err) {
+                (err instanceof errors.DatabaseIsNotOkError).should.eql(true);
+                err.code.should.eql('MIGRATION_TABLE_IS_MISSING');
+            });
+    });
+
+    it('custom schema', function () {
+        var schemaMigrator = writeMigratorConfig({schema: 'knex_migrator'});
+
+        return knexMigrator.init()
+            .then(function () {
+                return schemaMigrator.init();
+            })
+            .then(function () {
+                return getTables('knex_migrator');
+            })
+            .then(function (tables) {
+                tables.should.eql(['migrations', 'migrations_lock', 'users']);
+                return schemaMigrator.reset();
+            })
+            .then(function () {
+                return Promise.all([getTables('knex_migrator'), getTables('public')]);
+            })
+            .then(function (tables) {
+                tables[0].should.eql([]);
+                tables[1].should.eql(['migrations', 'migrations_lock', 'users']);
+
+                return knexMigrator.reset();
+            });
+    });
+});
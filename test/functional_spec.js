@@ -1,5 +1,6 @@
 var KnexMigrator = require('../lib'),
     errors = require('../lib/errors'),
+    utils = require('../lib/utils'),
     _ = require('lodash'),
     knex = require('knex'),
     sinon = require('sinon'),
@@ -17,6 +18,21 @@ describe('Functional flow test', function () {
         migrationsv14File1 = __dirname + '/assets/migrations/versions/1.4/1-no-error.js',
         migrationsv14File2 = __dirname + '/assets/migrations/versions/1.4/2-error.js',
         migrationsv15File1 = __dirname + '/assets/migrations/versions/1.5/1-no-error.js',
+        migrationsv16 = __dirname + '/assets/migrations/versions/1.6',
+        migrationsv16File1 = __dirname + '/assets/migrations/versions/1.6/1-reversible.js',
+        migrationsv17 = __dirname + '/assets/migrations/versions/1.7',
+        migrationsv17File1 = __dirname + '/assets/migrations/versions/1.7/1-add-user.js',
+        migrationsv17File2 = __dirname + '/assets/migrations/versions/1.7/2-error.js',
+        migrationsv18 = __dirname + '/assets/migrations/versions/1.8',
+        migrationsv18File1 = __dirname + '/assets/migrations/versions/1.8/1-rename-user.js',
+        migrationsv18File2 = __dirname + '/assets/migrations/versions/1.8/1-noop.js',
+        migrationsv18File3 = __dirname + '/assets/migrations/versions/1.8/2-error.js',
+        migrationsv18File4 = __dirname + '/assets/migrations/versions/1.8/1-context.js',
+        migrationsv18File5 = __dirname + '/assets/migrations/versions/1.8/1-variant.mysql.js',
+        migrationsv18File6 = __dirname + '/assets/migrations/versions/1.8/1-variant.sqlite3.js',
+        migrationsHooks = __dirname + '/assets/migrations/hooks',
+        migrationsHooksMigrate = __dirname + '/assets/migrations/hooks/migrate',
+        migrationsHooksMigrateFile = __dirname + '/assets/migrations/hooks/migrate/index.js',
         migratorConfigPath = __dirname + '/assets/MigratorConfig.js',
         connection;
 
@@ -52,6 +68,42 @@ describe('Functional flow test', function () {
         if (fs.existsSync(migrationsv15)) {
             fs.rmdirSync(migrationsv15);
         }
+
+        if (fs.existsSync(migrationsv16File1)) {
+            fs.unlinkSync(migrationsv16File1);
+        }
+
+        if (fs.existsSync(migrationsv16)) {
+            fs.rmdirSync(migrationsv16);
+        }
+
+        if (fs.existsSync(migrationsv17File1)) {
+            fs.unlinkSync(migrationsv17File1);
+        }
+
+        if (fs.existsSync(migrationsv17File2)) {
+            fs.unlinkSync(migrationsv17File2);
+        }
+
+        if (fs.existsSync(migrationsv17)) {
+            fs.rmdirSync(migrationsv17);
+        }
+
+        if (fs.existsSync(migrationsv18File1)) {
+            fs.unlinkSync(migrationsv18File1);
+        }
+
+        if (fs.existsSync(migrationsv18File2)) {
+            fs.unlinkSync(migrationsv18File2);
+        }
+
+        if (fs.existsSync(migrationsv18File3)) {
+            fs.unlinkSync(migrationsv18File3);
+        }
+
+        if (fs.existsSync(migrationsv18)) {
+            fs.rmdirSync(migrationsv18);
+        }
     });
 
     before(function () {
@@ -118,6 +170,42 @@ describe('Functional flow test', function () {
             fs.rmdirSync(migrationsv15);
         }
 
+        if (fs.existsSync(migrationsv16File1)) {
+            fs.unlinkSync(migrationsv16File1);
+        }
+
+        if (fs.existsSync(migrationsv16)) {
+            fs.rmdirSync(migrationsv16);
+        }
+
+        if (fs.existsSync(migrationsv17File1)) {
+            fs.unlinkSync(migrationsv17File1);
+        }
+
+        if (fs.existsSync(migrationsv17File2)) {
+            fs.unlinkSync(migrationsv17File2);
+        }
+
+        if (fs.existsSync(migrationsv17)) {
+            fs.rmdirSync(migrationsv17);
+        }
+
+        if (fs.existsSync(migrationsv18File1)) {
+            fs.unlinkSync(migrationsv18File1);
+        }
+
+        if (fs.existsSync(migrationsv18File2)) {
+            fs.unlinkSync(migrationsv18File2);
+        }
+
+        if (fs.existsSync(migrationsv18File3)) {
+            fs.unlinkSync(migrationsv18File3);
+        }
+
+        if (fs.existsSync(migrationsv18)) {
+            fs.rmdirSync(migrationsv18);
+        }
+
         if (fs.existsSync(migratorConfigPath)) {
             fs.unlinkSync(migratorConfigPath);
         }
@@ -655,4 +743,759 @@ describe('Functional flow test', function () {
                 values[7].version.should.eql('1.5');
             });
     });
+
+    it('rollback 1.5, but script has no down function', function () {
+        return knexMigrator.rollback({version: '1.5'})
+            .then(function () {
+                throw new Error('Rollback should fail!');
+            })
+            .catch(function (err) {
+                should.exist(err);
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('Migration script does not export a down function: 1-no-error.js');
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(8);
+                values[7].name.should.eql('1-no-error.js');
+                values[7].version.should.eql('1.5');
+            });
+    });
+
+    it('migrate 1.6 (--v) and force, then rollback 1.6', function () {
+        fs.mkdirSync(migrationsv16);
+
+        var jsFile1 = '' +
+            'exports.up = function addUser(options) {' +
+            'return options.transacting.raw(\'INSERT INTO users (name) VALUES("Oma");\');' +
+            '};' +
+            'exports.down = function removeUser(options) {' +
+            'return options.transacting.raw(\'DELETE FROM users where name="Oma";\');' +
+            '};';
+
+        fs.writeFileSync(migrationsv16File1, jsFile1);
+
+        return knexMigrator.migrate({version: '1.6', force: true})
+            .then(function () {
+                return connection.raw('SELECT * from users;');
+            })
+            .then(function (values) {
+                values.length.should.eql(1);
+                values[0].name.should.eql('Oma');
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(9);
+                values[8].name.should.eql('1-reversible.js');
+                values[8].version.should.eql('1.6');
+
+                return knexMigrator.rollback({version: '1.6'});
+            })
+            .then(function () {
+                return connection.raw('SELECT * from users;');
+            })
+            .then(function (values) {
+                values.length.should.eql(0);
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(8);
+                values[7].name.should.eql('1-no-error.js');
+                values[7].version.should.eql('1.5');
+            });
+    });
+
+    it('lock was released after migrate', function () {
+        return connection.raw('SELECT * from migrations_lock;')
+            .then(function (values) {
+                values.length.should.eql(1);
+                values[0].lock_key.should.eql('km01');
+                values[0].locked.should.eql(0);
+                should.exist(values[0].acquired_at);
+                should.exist(values[0].released_at);
+            });
+    });
+
+    it('migrate, but another process holds the lock', function () {
+        knexMigrator.lockOptions.timeout = 0;
+
+        return connection('migrations_lock').update({locked: true, acquired_at: new Date()})
+            .then(function () {
+                return knexMigrator.migrate();
+            })
+            .then(function () {
+                throw new Error('Migrate should fail!');
+            })
+            .catch(function (err) {
+                should.exist(err);
+                (err instanceof errors.MigrationsAreLockedError).should.eql(true);
+                err.code.should.eql('MIGRATIONS_ARE_LOCKED');
+
+                knexMigrator.beforeEachTask.called.should.eql(false);
+                return connection.raw('SELECT * from migrations_lock;');
+            })
+            .then(function (values) {
+                // the lock of the other process is untouched
+                values[0].locked.should.eql(1);
+            });
+    });
+
+    it('migrate overrides a stale lock', function () {
+        knexMigrator.lockOptions.staleTimeout = 1000;
+
+        return connection('migrations_lock').update({locked: true, acquired_at: new Date(Date.now() - 2000)})
+            .then(function () {
+                return knexMigrator.migrate();
+            })
+            .then(function () {
+                return connection.raw('SELECT * from migrations_lock;');
+            })
+            .then(function (values) {
+                values[0].locked.should.eql(0);
+            });
+    });
+
+    it('a lock, which was overridden by another process, is not released', function () {
+        var migratorConnection = knexMigrator.connection;
+
+        knexMigrator.connection = connection;
+
+        return knexMigrator.acquireLock()
+            .then(function () {
+                // CASE: another process treats our lock as stale
+                return connection('migrations_lock').update({owner: 'other', acquired_at: new Date()});
+            })
+            .then(function () {
+                return knexMigrator.releaseLock();
+            })
+            .then(function () {
+                return connection.raw('SELECT * from migrations_lock;');
+            })
+            .then(function (values) {
+                values[0].locked.should.eql(1);
+                values[0].owner.should.eql('other');
+            })
+            .finally(function () {
+                knexMigrator.connection = migratorConnection;
+            });
+    });
+
+    it('unlock releases the lock of another process', function () {
+        knexMigrator.lockOptions.staleTimeout = null;
+
+        return connection('migrations_lock').update({locked: true, acquired_at: new Date()})
+            .then(function () {
+                return knexMigrator.unlock();
+            })
+            .then(function () {
+                return connection.raw('SELECT * from migrations_lock;');
+            })
+            .then(function (values) {
+                values[0].locked.should.eql(0);
+                return knexMigrator.migrate();
+            });
+    });
+
+    it('migrate 1.7 (--v) with transaction per task, error happens in the second script', function () {
+        knexMigrator.transactionMode = 'task';
+
+        // 1.6 was rolled back
+        fs.unlinkSync(migrationsv16File1);
+        fs.rmdirSync(migrationsv16);
+
+        fs.mkdirSync(migrationsv17);
+
+        var jsFile1 = '' +
+            'module.exports = function addUser(options) {' +
+            'return options.transacting.raw(\'INSERT INTO users (name) VALUES("Opa");\');' +
+            '};';
+
+        var jsFile2 = '' +
+            'var Promise = require("bluebird");' +
+            'module.exports = function scriptWillThrowError(options) {' +
+            'return Promise.reject(new Error("unexpected error"));' +
+            '};';
+
+        fs.writeFileSync(migrationsv17File1, jsFile1);
+        fs.writeFileSync(migrationsv17File2, jsFile2);
+
+        return knexMigrator.migrate({version: '1.7', force: true})
+            .then(function () {
+                throw new Error('Migrate should fail!');
+            })
+            .catch(function (err) {
+                should.exist(err);
+                err.message.should.eql('unexpected error');
+                return connection.raw('SELECT * from users;');
+            })
+            .then(function (values) {
+                // the first task was committed
+                values.length.should.eql(1);
+                values[0].name.should.eql('Opa');
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(9);
+                values[8].name.should.eql('1-add-user.js');
+                values[8].version.should.eql('1.7');
+
+                knexMigrator.beforeEachTask.callCount.should.eql(2);
+                knexMigrator.afterEachTask.callCount.should.eql(1);
+            });
+    });
+
+    it('migrate 1.7 (--v) again, script opts out of the transaction, continues with the failed task', function () {
+        knexMigrator.transactionMode = 'all';
+
+        _.each(require.cache, function (value, key) {
+            if (key.match(/migrations\/versions\/1.7\/2-error.js/)) {
+                delete require.cache[key];
+            }
+        });
+
+        var jsFile2 = '' +
+            'module.exports = function success(options) {' +
+            'return options.transacting.raw(\'UPDATE users set name="Opi";\');' +
+            '};' +
+            'module.exports.config = {transaction: false};';
+
+        fs.writeFileSync(migrationsv17File2, jsFile2);
+
+        return knexMigrator.migrate({version: '1.7', force: true})
+            .then(function () {
+                return connection.raw('SELECT * from users;');
+            })
+            .then(function (values) {
+                values.length.should.eql(1);
+                values[0].name.should.eql('Opi');
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(10);
+                values[8].name.should.eql('1-add-user.js');
+                values[8].version.should.eql('1.7');
+                values[9].name.should.eql('2-error.js');
+                values[9].version.should.eql('1.7');
+
+                knexMigrator.beforeEachTask.callCount.should.eql(2);
+                knexMigrator.afterEachTask.callCount.should.eql(1);
+            });
+    });
+
+    it('dry run is refused, if the dialect commits DDL statements implicitly', function () {
+        var dialect = knexMigrator.dialect;
+
+        knexMigrator.dialect = _.assign({}, dialect, {transactionalDDL: false});
+
+        return knexMigrator.migrate({dryRun: true})
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.code.should.eql('DRY_RUN_NOT_SUPPORTED');
+                knexMigrator.beforeEachTask.called.should.eql(false);
+                knexMigrator.listenerCount('task:end').should.eql(0);
+            })
+            .finally(function () {
+                knexMigrator.dialect = dialect;
+            });
+    });
+
+    it('migrate 1.8 (--v) and force in dry run mode', function () {
+        fs.mkdirSync(migrationsv18);
+
+        var jsFile1 = '' +
+            'module.exports = function renameUser(options) {' +
+            'return options.transacting("users").update({name: "Opa"}).where("name", "Opi");' +
+            '};';
+
+        fs.writeFileSync(migrationsv18File1, jsFile1);
+
+        return knexMigrator.migrate({version: '1.8', force: true, dryRun: true})
+            .then(function (summary) {
+                var executedTasks = summary.executed;
+
+                summary.dryRun.should.eql(true);
+                executedTasks.length.should.eql(1);
+                executedTasks[0].version.should.eql('1.8');
+                executedTasks[0].name.should.eql('1-rename-user.js');
+                executedTasks[0].statements.should.eql([
+                    'update "users" set "name" = \'Opa\' where "name" = \'Opi\''
+                ]);
+
+                knexMigrator.beforeEachTask.callCount.should.eql(1);
+                knexMigrator.afterEachTask.called.should.eql(false);
+
+                return connection.raw('SELECT * from users;');
+            })
+            .then(function (values) {
+                values.length.should.eql(1);
+                values[0].name.should.eql('Opi');
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(10);
+
+                fs.unlinkSync(migrationsv18File1);
+                fs.rmdirSync(migrationsv18);
+            });
+    });
+
+    it('checksums of executed scripts are stored', function () {
+        return connection.raw('SELECT * from migrations;')
+            .then(function (values) {
+                values[8].name.should.eql('1-add-user.js');
+                values[8].checksum.should.eql(utils.getChecksum(migrationsv17File1));
+                values[9].name.should.eql('2-error.js');
+                values[9].checksum.should.eql(utils.getChecksum(migrationsv17File2));
+            });
+    });
+
+    it('change current version', function () {
+        knexMigrator.currentVersion = '1.7';
+    });
+
+    it('is database ok? --> yes, but an executed script was changed (warn)', function () {
+        fs.writeFileSync(migrationsv17File1, fs.readFileSync(migrationsv17File1, 'utf-8') + '// changed');
+        return knexMigrator.isDatabaseOK();
+    });
+
+    it('is database ok? --> no, an executed script was changed (error)', function () {
+        knexMigrator.checksumMode = 'error';
+
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                throw new Error('Database should be NOT ok!');
+            })
+            .catch(function (err) {
+                should.exist(err);
+                (err instanceof errors.DatabaseIsNotOkError).should.eql(true);
+                err.code.should.eql('MIGRATION_CHECKSUM_MISMATCH');
+                err.message.should.eql('Migration scripts were changed after execution: 1.7/1-add-user.js');
+            });
+    });
+
+    it('migrate --accept-changes in dry run mode does not store the checksums', function () {
+        var checksum;
+
+        return connection('migrations').where({version: '1.7', name: '1-add-user.js'})
+            .then(function (values) {
+                checksum = values[0].checksum;
+                checksum.should.not.eql(utils.getChecksum(migrationsv17File1));
+
+                return knexMigrator.migrate({acceptChanges: true, dryRun: true});
+            })
+            .then(function (summary) {
+                summary.executed.length.should.eql(0);
+                return connection('migrations').where({version: '1.7', name: '1-add-user.js'});
+            })
+            .then(function (values) {
+                values[0].checksum.should.eql(checksum);
+            });
+    });
+
+    it('migrate --accept-changes', function () {
+        return knexMigrator.migrate({acceptChanges: true})
+            .then(function () {
+                return connection.raw('SELECT * from migrations;');
+            })
+            .then(function (values) {
+                values.length.should.eql(10);
+                values[8].checksum.should.eql(utils.getChecksum(migrationsv17File1));
+
+                knexMigrator.beforeEachTask.called.should.eql(false);
+                return knexMigrator.isDatabaseOK();
+            })
+            .then(function () {
+                knexMigrator.checksumMode = 'warn';
+            });
+    });
+
+    it('execution metadata is stored', function () {
+        return connection.raw('SELECT * from migrations;')
+            .then(function (values) {
+                // init
+                values[0].batch.should.eql(1);
+                values[1].batch.should.eql(1);
+
+                // 1.1 and 1.2 were executed together
+                values[2].batch.should.eql(2);
+                values[3].batch.should.eql(2);
+
+                values[4].batch.should.eql(3);
+
+                _.each(values, function (value) {
+                    should.exist(value.executed_at);
+                    value.duration_ms.should.be.aboveOrEqual(0);
+                    value.knex_migrator_version.should.eql(require('../package.json').version);
+                });
+            });
+    });
+
+    it('upgrade a migrations table, which was created by an older version', function () {
+        var oldDbFile = __dirname + '/assets/old.db',
+            oldConnection = knex({
+                client: 'sqlite3',
+                connection: {
+                    filename: oldDbFile
+                },
+                useNullAsDefault: true
+            });
+
+        return oldConnection.schema.createTable('migrations', function (table) {
+            table.increments().primary();
+            table.string('name');
+            table.string('version');
+            table.string('currentVersion');
+        }).then(function () {
+            return knexMigrator.upgradeMigrationsTable({transacting: oldConnection});
+        }).then(function () {
+            return Promise.all([
+                oldConnection.schema.hasColumn('migrations', 'checksum'),
+                oldConnection.schema.hasColumn('migrations', 'executed_at'),
+                oldConnection.schema.hasColumn('migrations', 'duration_ms'),
+                oldConnection.schema.hasColumn('migrations', 'batch'),
+                oldConnection.schema.hasColumn('migrations', 'knex_migrator_version')
+            ]);
+        }).then(function (exists) {
+            exists.should.eql([true, true, true, true, true]);
+        }).finally(function () {
+            return oldConnection.destroy()
+                .then(function () {
+                    fs.unlinkSync(oldDbFile);
+                });
+        });
+    });
+
+    it('upgrade rows of a pre-release folder, which were recorded with the legacy version', function () {
+        var migrationsv2beta = __dirname + '/assets/migrations/versions/2.0.0-beta.1',
+            migrationsv2betaFile = migrationsv2beta + '/1-beta.js';
+
+        fs.mkdirSync(migrationsv2beta);
+        fs.writeFileSync(migrationsv2betaFile, 'module.exports = function () {};');
+
+        return connection('migrations').insert([
+            {name: '1-beta.js', version: '2.0.0', currentVersion: '1.7'},
+            {name: '1-other.js', version: '2.0.0', currentVersion: '1.7'}
+        ]).then(function () {
+            return knexMigrator.upgradeMigrationsTable({transacting: connection});
+        }).then(function () {
+            return connection('migrations').whereIn('name', ['1-beta.js', '1-other.js']).orderBy('name');
+        }).then(function (values) {
+            values[0].version.should.eql('2.0.0-beta.1');
+            values[1].version.should.eql('2.0.0');
+        }).finally(function () {
+            fs.unlinkSync(migrationsv2betaFile);
+            fs.rmdirSync(migrationsv2beta);
+
+            return connection('migrations').whereIn('name', ['1-beta.js', '1-other.js']).del();
+        });
+    });
+
+    it('status', function () {
+        return connection('migrations').insert({
+            name: '1-removed.js',
+            version: '1.1',
+            currentVersion: '1.7'
+        }).then(function () {
+            return knexMigrator.status();
+        }).then(function (migrations) {
+            migrations.length.should.eql(13);
+
+            _.map(_.filter(migrations, {state: 'skipped'}), 'version').should.eql(['0.9', '1.0']);
+            _.find(migrations, {version: '1.1', name: '1-removed.js'}).state.should.eql('orphaned');
+            _.find(migrations, {version: '1.7', name: '1-add-user.js'}).state.should.eql('applied');
+            _.find(migrations, {version: '1.7', name: '1-add-user.js'}).executedAt.should.be.an.instanceOf(Date);
+            _.filter(migrations, {state: 'pending'}).length.should.eql(0);
+        }).finally(function () {
+            return connection('migrations').where('name', '1-removed.js').del();
+        });
+    });
+
+    it('status: pending migration', function () {
+        fs.mkdirSync(migrationsv18);
+        fs.writeFileSync(migrationsv18File1, 'module.exports = function () {};');
+        knexMigrator.currentVersion = '1.8';
+
+        return knexMigrator.status()
+            .then(function (migrations) {
+                var migration = _.find(migrations, {version: '1.8'});
+
+                migration.name.should.eql('1-rename-user.js');
+                migration.state.should.eql('pending');
+                should.not.exist(migration.executedAt);
+            })
+            .finally(function () {
+                knexMigrator.currentVersion = '1.7';
+                fs.unlinkSync(migrationsv18File1);
+                fs.rmdirSync(migrationsv18);
+            });
+    });
+
+    describe('events', function () {
+        var events;
+
+        function listen() {
+            events = [];
+
+            ['version:start', 'task:start', 'task:end', 'task:skip', 'task:error', 'done'].forEach(function (event) {
+                knexMigrator.on(event, function (data) {
+                    events.push({event: event, data: data});
+                });
+            });
+        }
+
+        beforeEach(function () {
+            listen();
+        });
+
+        afterEach(function () {
+            knexMigrator.removeAllListeners();
+        });
+
+        after(function () {
+            knexMigrator.currentVersion = '1.7';
+
+            return connection('migrations').where('version', '1.8').del()
+                .then(function () {
+                    fs.unlinkSync(migrationsv18File2);
+                    fs.unlinkSync(migrationsv18File3);
+                    fs.rmdirSync(migrationsv18);
+                });
+        });
+
+        it('init emits task:skip', function () {
+            return knexMigrator.init()
+                .then(function () {
+                    _.map(events, 'event').should.eql(['version:start', 'task:skip', 'task:skip', 'done']);
+                    events[0].data.should.eql({version: 'init', tasks: 2});
+                    events[1].data.should.eql({version: 'init', name: '1-create-tables.js'});
+                    events[3].data.command.should.eql('init');
+                });
+        });
+
+        it('migrate emits the progress', function () {
+            fs.mkdirSync(migrationsv18);
+            fs.writeFileSync(migrationsv18File2, 'module.exports = function () { return Promise.resolve(); };');
+            knexMigrator.currentVersion = '1.8';
+
+            return knexMigrator.migrate()
+                .then(function () {
+                    _.map(events, 'event').should.eql(['version:start', 'task:start', 'task:end', 'done']);
+                    events[0].data.should.eql({version: '1.8', tasks: 1});
+                    events[1].data.should.eql({version: '1.8', name: '1-noop.js'});
+                    events[2].data.duration.should.be.aboveOrEqual(0);
+                    events[3].data.command.should.eql('migrate');
+                });
+        });
+
+        it('migrate emits task:error', function () {
+            fs.writeFileSync(migrationsv18File3, 'module.exports = function () { throw new Error("oops"); };');
+
+            return knexMigrator.migrate({version: '1.8', force: true})
+                .then(function () {
+                    throw new Error('Expected error.');
+                })
+                .catch(function (err) {
+                    err.message.should.eql('oops');
+
+                    _.map(events, 'event').should.eql(['version:start', 'task:skip', 'task:start', 'task:error']);
+                    events[3].data.name.should.eql('2-error.js');
+                    events[3].data.err.message.should.eql('oops');
+                });
+        });
+    });
+
+    describe('summary', function () {
+        after(function () {
+            return connection('migrations').where('version', '1.8').del()
+                .then(function () {
+                    fs.unlinkSync(migrationsv18File2);
+                    fs.rmdirSync(migrationsv18);
+                });
+        });
+
+        it('init resolves with the skipped tasks', function () {
+            return knexMigrator.init()
+                .then(function (summary) {
+                    summary.command.should.eql('init');
+                    summary.dryRun.should.eql(false);
+                    summary.executed.should.eql([]);
+                    summary.versions.should.eql([]);
+                    summary.skipped.should.eql([
+                        {version: 'init', name: '1-create-tables.js', reason: 'executed'},
+                        {version: 'init', name: '2-seed.js', reason: 'executed'}
+                    ]);
+                    summary.hooks.should.eql([]);
+                    summary.duration.should.be.aboveOrEqual(0);
+                });
+        });
+
+        it('migrate resolves with the versions skipped because of the current version', function () {
+            fs.mkdirSync(migrationsv18);
+            fs.writeFileSync(migrationsv18File2, 'module.exports = function () { return Promise.resolve(); };');
+
+            return knexMigrator.migrate()
+                .then(function (summary) {
+                    summary.command.should.eql('migrate');
+                    summary.executed.should.eql([]);
+                    summary.skippedVersions.should.eql([{version: '1.8', reason: 'currentVersion'}]);
+                });
+        });
+
+        it('migrate resolves with the executed tasks', function () {
+            return knexMigrator.migrate({version: '1.8', force: true})
+                .then(function (summary) {
+                    summary.versions.should.eql(['1.8']);
+                    summary.executed.length.should.eql(1);
+                    summary.executed[0].version.should.eql('1.8');
+                    summary.executed[0].name.should.eql('1-noop.js');
+                    summary.executed[0].duration.should.be.aboveOrEqual(0);
+                    summary.skippedVersions.should.eql([]);
+                    knexMigrator.listenerCount('task:end').should.eql(0);
+                });
+        });
+    });
+
+    describe('context', function () {
+        var hooks;
+
+        before(function () {
+            fs.mkdirSync(migrationsHooks);
+            fs.mkdirSync(migrationsHooksMigrate);
+            fs.writeFileSync(migrationsHooksMigrateFile, '' +
+                'module.exports = {' +
+                'before: function () { return Promise.resolve(); },' +
+                'beforeEach: function () { return Promise.resolve(); },' +
+                'afterEach: function () { return Promise.resolve(); },' +
+                'after: function () { return Promise.resolve(); }' +
+                '};');
+
+            hooks = require(migrationsHooksMigrateFile);
+
+            fs.mkdirSync(migrationsv18);
+            fs.writeFileSync(migrationsv18File4, '' +
+                'module.exports = function (options) {' +
+                'options.state.tasks = (options.state.tasks || []).concat(options.task);' +
+                'return options.transacting("users");' +
+                '};');
+        });
+
+        beforeEach(function () {
+            sandbox.spy(hooks, 'before');
+            sandbox.spy(hooks, 'beforeEach');
+            sandbox.spy(hooks, 'afterEach');
+            sandbox.spy(hooks, 'after');
+        });
+
+        afterEach(function () {
+            sandbox.restore();
+        });
+
+        after(function () {
+            delete require.cache[require.resolve(migrationsHooksMigrateFile)];
+            fs.unlinkSync(migrationsHooksMigrateFile);
+            fs.rmdirSync(migrationsHooksMigrate);
+            fs.rmdirSync(migrationsHooks);
+
+            return connection('migrations').where('version', '1.8').del()
+                .then(function () {
+                    fs.unlinkSync(migrationsv18File4);
+                    fs.unlinkSync(migrationsv18File3);
+                    fs.rmdirSync(migrationsv18);
+                });
+        });
+
+        it('scripts and hooks receive the context', function () {
+            return knexMigrator.migrate({version: '1.8', force: true})
+                .then(function (summary) {
+                    var beforeContext = hooks.before.args[0][0],
+                        beforeEachContext = hooks.beforeEach.args[0][0],
+                        afterContext = hooks.after.args[0][0];
+
+                    summary.hooks.should.eql(['before', 'beforeEach', 'afterEach', 'after']);
+
+                    beforeContext.command.should.eql('migrate');
+                    should.not.exist(beforeContext.version);
+                    should.not.exist(beforeContext.task);
+
+                    beforeEachContext.command.should.eql('migrate');
+                    beforeEachContext.version.should.eql('1.8');
+                    beforeEachContext.task.should.eql('1-context.js');
+                    beforeEachContext.currentVersion.should.eql('1.7');
+                    beforeEachContext.dialect.should.eql('sqlite3');
+                    beforeEachContext.config.migrationPath.should.eql(knexMigrator.migrationPath);
+                    beforeEachContext.logging.info.should.be.a.Function();
+                    should.exist(beforeEachContext.transacting);
+                    should.not.exist(beforeEachContext.err);
+
+                    hooks.afterEach.args[0][0].should.equal(beforeEachContext);
+
+                    // CASE: the state is shared by all scripts and hooks of one execution
+                    afterContext.state.should.equal(beforeContext.state);
+                    afterContext.state.tasks.should.eql(['1-context.js']);
+                });
+        });
+
+        it('the afterEach hook receives the error of a failed script', function () {
+            fs.writeFileSync(migrationsv18File3, 'module.exports = function () { throw new Error("oops"); };');
+
+            return knexMigrator.migrate({version: '1.8', force: true})
+                .then(function () {
+                    throw new Error('Expected error.');
+                })
+                .catch(function (err) {
+                    (err instanceof errors.MigrationScript).should.eql(true);
+                    err.message.should.eql('oops');
+
+                    hooks.beforeEach.callCount.should.eql(1);
+                    hooks.afterEach.callCount.should.eql(1);
+                    hooks.afterEach.args[0][0].task.should.eql('2-error.js');
+                    hooks.afterEach.args[0][0].err.message.should.eql('oops');
+                    hooks.after.called.should.eql(false);
+                });
+        });
+    });
+
+    describe('dialect variants', function () {
+        after(function () {
+            return connection('migrations').where('version', '1.8').del()
+                .then(function () {
+                    return connection('users').where('name', 'sqlite3').del();
+                })
+                .then(function () {
+                    fs.unlinkSync(migrationsv18File5);
+                    fs.unlinkSync(migrationsv18File6);
+                    fs.rmdirSync(migrationsv18);
+                });
+        });
+
+        it('executes the variant of the client and records the base name', function () {
+            fs.mkdirSync(migrationsv18);
+            fs.writeFileSync(migrationsv18File5, 'module.exports = function () { throw new Error("mysql"); };');
+            fs.writeFileSync(migrationsv18File6, '' +
+                'module.exports = function (options) {' +
+                'return options.transacting("users").insert({name: options.dialect});' +
+                '};');
+
+            return knexMigrator.migrate({version: '1.8', force: true})
+                .then(function (summary) {
+                    summary.executed.map(function (task) {
+                        return task.name;
+                    }).should.eql(['1-variant.js']);
+
+                    return connection('migrations').where('version', '1.8');
+                })
+                .then(function (migrations) {
+                    migrations.length.should.eql(1);
+                    migrations[0].name.should.eql('1-variant.js');
+
+                    return connection('users').where('name', 'sqlite3');
+                })
+                .then(function (users) {
+                    users.length.should.eql(1);
+                });
+        });
+    });
 });
\ No newline at end of file
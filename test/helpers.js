@@ -0,0 +1,71 @@
+var _ = require('lodash'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os');
+
+/**
+ * Removes a file or a folder recursively.
+ */
+exports.remove = function remove(target) {
+    if (!fs.existsSync(target)) {
+        return;
+    }
+
+    if (fs.statSync(target).isDirectory()) {
+        fs.readdirSync(target).forEach(function (file) {
+            remove(path.join(target, file));
+        });
+
+        return fs.rmdirSync(target);
+    }
+
+    fs.unlinkSync(target);
+};
+
+/**
+ * Creates a project in the tmp folder: a MigratorConfig.js (sqlite3) and a migration path.
+ *
+ * createProject({name: 'hooks', folders: ['init', 'versions'], config: {currentVersion: '1.0'}})
+ * -> {folder, migrationPath, dbFile}
+ */
+exports.createProject = function createProject(options) {
+    var folder = path.join(os.tmpdir(), 'knex-migrator-' + options.name),
+        migrationPath = path.join(folder, 'migrations'),
+        dbFile = path.join(folder, 'test.db'),
+        configPath = path.join(folder, 'MigratorConfig.js');
+
+    exports.remove(folder);
+    fs.mkdirSync(folder);
+    fs.mkdirSync(migrationPath);
+
+    _.each(options.folders, function (subfolder) {
+        fs.mkdirSync(path.join(migrationPath, subfolder));
+    });
+
+    fs.writeFileSync(configPath, 'module.exports = ' + JSON.stringify(_.assign({
+        database: {client: 'sqlite3', connection: {filename: dbFile}, useNullAsDefault: true},
+        migrationPath: migrationPath
+    }, options.config)) + ';');
+
+    delete require.cache[configPath];
+
+    return {
+        folder: folder,
+        migrationPath: migrationPath,
+        dbFile: dbFile
+    };
+};
+
+/**
+ * Writes a migration script to init or versions/<version>, the folder is created if needed.
+ */
+exports.writeScript = function writeScript(migrationPath, version, file, content) {
+    var folder = version === 'init' ? path.join(migrationPath, 'init') : path.join(migrationPath, 'versions', version);
+
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder);
+    }
+
+    fs.writeFileSync(path.join(folder, file), content);
+    return path.join(folder, file);
+};
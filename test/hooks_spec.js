@@ -0,0 +1,203 @@
+var KnexMigrator = require('../lib'),
+    errors = require('../lib/errors'),
+    helpers = require('./helpers'),
+    should = require('should'),
+    sinon = require('sinon'),
+    sandbox = sinon.sandbox.create(),
+    path = require('path'),
+    fs = require('fs');
+
+describe('Hooks', function () {
+    var folder,
+        migrationPath,
+        hooks = {},
+        knexMigrator;
+
+    function writeHooks(command) {
+        var hooksFile = path.join(migrationPath, 'hooks', command, 'index.js');
+
+        fs.mkdirSync(path.dirname(hooksFile));
+        fs.writeFileSync(hooksFile, '' +
+            'module.exports = {' +
+            'before: function () { return Promise.resolve(); },' +
+            'after: function () { return Promise.resolve(); },' +
+            'onError: function () { return Promise.resolve(); }' +
+            '};');
+
+        delete require.cache[hooksFile];
+        hooks[command] = require(hooksFile);
+
+        sandbox.spy(hooks[command], 'before');
+        sandbox.spy(hooks[command], 'after');
+        sandbox.spy(hooks[command], 'onError');
+    }
+
+    before(function () {
+        var project = helpers.createProject({
+            name: 'hooks',
+            folders: ['init', 'versions', 'hooks'],
+            config: {currentVersion: '1.0'}
+        });
+
+        folder = project.folder;
+        migrationPath = project.migrationPath;
+
+        helpers.writeScript(migrationPath, 'init', '1-create-tables.js', '' +
+            'module.exports = function (options) {' +
+            'return options.transacting.schema.createTable("users", function (table) { table.increments(); });' +
+            '};');
+
+        helpers.writeScript(migrationPath, '1.1', '1-error.js', '' +
+            'module.exports = function (options) {' +
+            'return options.transacting("users").insert({id: 1}).then(function () { throw new Error("oops"); });' +
+            '};');
+
+        writeHooks('migrate');
+        writeHooks('health');
+        writeHooks('reset');
+
+        knexMigrator = new KnexMigrator({
+            knexMigratorFilePath: folder
+        });
+
+        return knexMigrator.init()
+            .then(function () {
+                knexMigrator.currentVersion = '1.1';
+            });
+    });
+
+    afterEach(function () {
+        sandbox.reset();
+    });
+
+    after(function () {
+        sandbox.restore();
+        helpers.remove(folder);
+    });
+
+    it('migrate: onError receives the failed task before the rollback', function () {
+        hooks.migrate.onError.restore();
+        sandbox.stub(hooks.migrate, 'onError', function (context) {
+            return context.transacting('users').then(function (users) {
+                users.length.should.eql(1);
+            });
+        });
+
+        return knexMigrator.migrate()
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                var context;
+
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('oops');
+                err.errorDetails.should.eql({version: '1.1', task: '1-error.js'});
+
+                hooks.migrate.before.calledOnce.should.eql(true);
+                hooks.migrate.after.called.should.eql(false);
+                hooks.migrate.onError.calledOnce.should.eql(true);
+
+                context = hooks.migrate.onError.args[0][0];
+                context.command.should.eql('migrate');
+                context.version.should.eql('1.1');
+                context.task.should.eql('1-error.js');
+                context.err.should.equal(err);
+            });
+    });
+
+    it('migrate: an error of the onError hook does not hide the original error', function () {
+        hooks.migrate.onError.restore();
+        sandbox.stub(hooks.migrate, 'onError').throws(new Error('hook'));
+
+        return knexMigrator.migrate()
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.message.should.eql('oops');
+                hooks.migrate.onError.calledOnce.should.eql(true);
+            });
+    });
+
+    it('health: onError is not called if the database needs a migration', function () {
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.code.should.eql('DB_NEEDS_MIGRATION');
+
+                hooks.health.before.calledOnce.should.eql(true);
+                hooks.health.after.called.should.eql(false);
+                hooks.health.onError.called.should.eql(false);
+            });
+    });
+
+    it('health: onError is called on an unexpected error', function () {
+        hooks.health.before.restore();
+        sandbox.stub(hooks.health, 'before').throws(new Error('connection lost'));
+
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.message.should.eql('connection lost');
+
+                hooks.health.onError.calledOnce.should.eql(true);
+                hooks.health.onError.args[0][0].command.should.eql('health');
+                hooks.health.onError.args[0][0].err.should.equal(err);
+            })
+            .finally(function () {
+                hooks.health.before.restore();
+                sandbox.spy(hooks.health, 'before');
+            });
+    });
+
+    it('health: before and after', function () {
+        fs.unlinkSync(path.join(migrationPath, 'versions', '1.1', '1-error.js'));
+
+        return knexMigrator.isDatabaseOK()
+            .then(function () {
+                hooks.health.before.calledOnce.should.eql(true);
+                hooks.health.after.calledOnce.should.eql(true);
+                hooks.health.onError.called.should.eql(false);
+                should.exist(hooks.health.after.args[0][0].connection);
+            });
+    });
+
+    it('health: disableHooks', function () {
+        return knexMigrator.isDatabaseOK({disableHooks: true})
+            .then(function () {
+                hooks.health.before.called.should.eql(false);
+                hooks.health.after.called.should.eql(false);
+            });
+    });
+
+    it('reset: before and after', function () {
+        hooks.reset.before.restore();
+        sandbox.stub(hooks.reset, 'before', function (context) {
+            context.command.should.eql('reset');
+
+            // CASE: the tables still exist
+            return context.connection('users');
+        });
+
+        return knexMigrator.reset()
+            .then(function () {
+                hooks.reset.before.calledOnce.should.eql(true);
+                hooks.reset.after.calledOnce.should.eql(true);
+                hooks.reset.onError.called.should.eql(false);
+                hooks.reset.after.args[0][0].state.should.equal(hooks.reset.before.args[0][0].state);
+
+                return knexMigrator.isDatabaseOK({disableHooks: true});
+            })
+            .then(function () {
+                throw new Error('Expected error.');
+            })
+            .catch(function (err) {
+                err.code.should.eql('MIGRATION_TABLE_IS_MISSING');
+            });
+    });
+});
@@ -0,0 +1,165 @@
+var KnexMigrator = require('../lib'),
+    helpers = require('./helpers'),
+    should = require('should'),
+    knex = require('knex'),
+    path = require('path'),
+    fs = require('fs');
+
+describe('Repair', function () {
+    var project,
+        knexMigrator,
+        connection;
+
+    function getPath(version, file) {
+        return version === 'init' ?
+            path.join(project.migrationPath, 'init', file) :
+            path.join(project.migrationPath, 'versions', version, file);
+    }
+
+    function writeScript(version, file, name) {
+        helpers.writeScript(project.migrationPath, version, file, '' +
+            'module.exports = function () {' +
+            'return Promise.resolve("' + name + '");' +
+            '};');
+    }
+
+    before(function () {
+        project = helpers.createProject({
+            name: 'repair',
+            folders: ['versions'],
+            config: {currentVersion: '1.0'}
+        });
+
+        writeScript('init', '1-create-tables.js', 'create tables');
+        writeScript('1.1', '1-add-users.js', 'add users');
+        writeScript('1.1', '2-add-posts.js', 'add posts');
+        writeScript('1.1', '3-add-tags.js', 'add tags');
+        writeScript('1.2', '1-add-email.js', 'add email');
+
+        knexMigrator = new KnexMigrator({
+            knexMigratorFilePath: project.folder
+        });
+
+        connection = knex({
+            client: 'sqlite3',
+            connection: {filename: project.dbFile},
+            useNullAsDefault: true
+        });
+
+        return knexMigrator.init()
+            .then(function () {
+                knexMigrator.currentVersion = '1.2';
+                return knexMigrator.migrate();
+            })
+            .then(function () {
+                return connection('migrations').where({version: '1.1', name: '1-add-users.js'});
+            })
+            .then(function (rows) {
+                // CASE: two processes have executed the same script
+                return connection('migrations').insert({
+                    name: rows[0].name,
+                    version: rows[0].version,
+                    currentVersion: rows[0].currentVersion,
+                    checksum: rows[0].checksum
+                });
+            })
+            .then(function () {
+                // renamed, same content
+                fs.renameSync(getPath('1.1', '2-add-posts.js'), getPath('1.1', '2-create-posts.js'));
+
+                // renamed and changed or a new script, same prefix
+                fs.unlinkSync(getPath('1.1', '3-add-tags.js'));
+                writeScript('1.1', '3-create-tags.js', 'create tags');
+
+                // removed version
+                fs.unlinkSync(getPath('1.2', '1-add-email.js'));
+                fs.rmdirSync(path.dirname(getPath('1.2', '1-add-email.js')));
+            });
+    });
+
+    after(function () {
+        return connection.destroy()
+            .then(function () {
+                helpers.remove(project.folder);
+            });
+    });
+
+    it('dry run lists the changes', function () {
+        return knexMigrator.repair({dryRun: true})
+            .then(function (result) {
+                result.dryRun.should.eql(true);
+
+                result.duplicates.map(function (change) {
+                    return [change.version, change.name, change.action];
+                }).should.eql([['1.1', '1-add-users.js', 'delete']]);
+
+                result.orphaned.map(function (change) {
+                    return [change.version, change.name, change.action, change.to || change.suggestion];
+                }).should.eql([
+                    ['1.1', '2-add-posts.js', 'repoint', '2-create-posts.js'],
+                    ['1.1', '3-add-tags.js', 'delete', '3-create-tags.js'],
+                    ['1.2', '1-add-email.js', 'delete', undefined]
+                ]);
+
+                return connection('migrations');
+            })
+            .then(function (migrations) {
+                migrations.length.should.eql(6);
+            });
+    });
+
+    it('dry run with matchPrefix re-points to a script with the same prefix', function () {
+        return knexMigrator.repair({dryRun: true, matchPrefix: true})
+            .then(function (result) {
+                result.orphaned.map(function (change) {
+                    return [change.name, change.action, change.to, change.reason];
+                }).should.eql([
+                    ['2-add-posts.js', 'repoint', '2-create-posts.js', 'checksum'],
+                    ['3-add-tags.js', 'repoint', '3-create-tags.js', 'prefix'],
+                    ['1-add-email.js', 'delete', undefined, undefined]
+                ]);
+            });
+    });
+
+    it('repairs the migrations table', function () {
+        return knexMigrator.repair()
+            .then(function (result) {
+                result.dryRun.should.eql(false);
+                result.duplicates.length.should.eql(1);
+                result.orphaned.length.should.eql(3);
+
+                return connection('migrations').orderBy('id');
+            })
+            .then(function (migrations) {
+                migrations.map(function (migration) {
+                    return migration.version + '/' + migration.name;
+                }).should.eql([
+                    'init/1-create-tables.js',
+                    '1.1/1-add-users.js',
+                    '1.1/2-create-posts.js'
+                ]);
+
+                knexMigrator.currentVersion = '1.1';
+                return knexMigrator.status();
+            })
+            .then(function (migrations) {
+                // CASE: a script with the same prefix is executed on the next migrate
+                migrations.map(function (migration) {
+                    return migration.name + ': ' + migration.state;
+                }).should.eql([
+                    '1-create-tables.js: applied',
+                    '1-add-users.js: applied',
+                    '2-create-posts.js: applied',
+                    '3-create-tags.js: pending'
+                ]);
+            });
+    });
+
+    it('nothing to repair', function () {
+        return knexMigrator.repair({dryRun: true})
+            .then(function (result) {
+                result.duplicates.should.eql([]);
+                result.orphaned.should.eql([]);
+            });
+    });
+});
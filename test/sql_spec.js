@@ -0,0 +1,133 @@
+var KnexMigrator = require('../lib'),
+    sql = require('../lib/sql'),
+    helpers = require('./helpers'),
+    should = require('should'),
+    knex = require('knex');
+
+describe('SQL', function () {
+    describe('parse', function () {
+        it('splits statements', function () {
+            sql.parse('CREATE TABLE a (id INT);\nINSERT INTO a VALUES (1);\n\n').should.eql([{
+                dialects: null,
+                statements: ['CREATE TABLE a (id INT)', 'INSERT INTO a VALUES (1)']
+            }]);
+        });
+
+        it('ignores semicolons in strings, identifiers and comments', function () {
+            sql.parse('' +
+                '-- a comment; with a semicolon\n' +
+                'INSERT INTO a VALUES (\'x;y\', "a;b", `c;d`, \'it\'\'s;\');\n' +
+                '/* block; comment */ SELECT 1;' +
+                'CREATE FUNCTION f() RETURNS void AS $$ BEGIN; END; $$ LANGUAGE plpgsql;'
+            )[0].statements.should.eql([
+                'INSERT INTO a VALUES (\'x;y\', "a;b", `c;d`, \'it\'\'s;\')',
+                '/* block; comment */ SELECT 1',
+                'CREATE FUNCTION f() RETURNS void AS $$ BEGIN; END; $$ LANGUAGE plpgsql'
+            ]);
+        });
+
+        it('mysql: backslash escapes and # comments', function () {
+            sql.parse('' +
+                '# a comment; with a semicolon\n' +
+                'INSERT INTO a VALUES (\'\\\';\', "\\";");\n' +
+                'SELECT 1;', {dialect: 'mysql'}
+            )[0].statements.should.eql([
+                'INSERT INTO a VALUES (\'\\\';\', "\\";")',
+                'SELECT 1'
+            ]);
+        });
+
+        it('pg and sqlite3: a backslash does not escape', function () {
+            sql.parse('INSERT INTO t VALUES (\'C:\\\'); INSERT INTO t VALUES (\'x\');', {dialect: 'sqlite3'})[0]
+                .statements.should.eql([
+                    'INSERT INTO t VALUES (\'C:\\\')',
+                    'INSERT INTO t VALUES (\'x\')'
+                ]);
+        });
+
+        it('dialect headers', function () {
+            var sections = sql.parse('' +
+                'CREATE TABLE a (id INT);\n' +
+                '-- dialect: mysql\n' +
+                'ALTER TABLE a ENGINE=InnoDB;\n' +
+                '-- dialect: sqlite3, pg\n' +
+                'CREATE INDEX a_id ON a (id);\n');
+
+            sections.should.eql([
+                {dialects: null, statements: ['CREATE TABLE a (id INT)']},
+                {dialects: ['mysql'], statements: ['ALTER TABLE a ENGINE=InnoDB']},
+                {dialects: ['sqlite3', 'pg'], statements: ['CREATE INDEX a_id ON a (id)']}
+            ]);
+
+            sql.getStatements(sections, 'mysql').should.eql(['CREATE TABLE a (id INT)', 'ALTER TABLE a ENGINE=InnoDB']);
+            sql.getStatements(sections, 'pg').should.eql(['CREATE TABLE a (id INT)', 'CREATE INDEX a_id ON a (id)']);
+            sql.getStatements(sections, 'mysql2').should.eql(['CREATE TABLE a (id INT)', 'ALTER TABLE a ENGINE=InnoDB']);
+            sql.getStatements(sections, 'postgresql').should.eql(['CREATE TABLE a (id INT)', 'CREATE INDEX a_id ON a (id)']);
+        });
+    });
+
+    describe('migrations', function () {
+        var project,
+            knexMigrator,
+            connection;
+
+        before(function () {
+            project = helpers.createProject({
+                name: 'sql',
+                folders: ['init'],
+                config: {currentVersion: '1.0'}
+            });
+
+            helpers.writeScript(project.migrationPath, 'init', '1-create-tables.sql', '' +
+                'CREATE TABLE users (id INTEGER PRIMARY KEY, name VARCHAR(191));\n' +
+                'INSERT INTO users (name) VALUES (\'Who?\');\n' +
+                '-- dialect: mysql\n' +
+                'ALTER TABLE users ENGINE=InnoDB;\n' +
+                '-- dialect: sqlite3\n' +
+                'CREATE INDEX users_name ON users (name);\n');
+
+            helpers.writeScript(project.migrationPath, 'init', '2-seed.js', '' +
+                'module.exports = function (options) {' +
+                'return options.transacting("users").insert({name: "Kate"});' +
+                '};');
+
+            knexMigrator = new KnexMigrator({
+                knexMigratorFilePath: project.folder
+            });
+
+            connection = knex({
+                client: 'sqlite3',
+                connection: {filename: project.dbFile},
+                useNullAsDefault: true
+            });
+        });
+
+        after(function () {
+            return connection.destroy()
+                .then(function () {
+                    helpers.remove(project.folder);
+                });
+        });
+
+        it('executes the statements of the dialect', function () {
+            return knexMigrator.init()
+                .then(function (summary) {
+                    summary.executed.map(function (task) {
+                        return task.name;
+                    }).should.eql(['1-create-tables.sql', '2-seed.js']);
+
+                    return connection('users').orderBy('id');
+                })
+                .then(function (users) {
+                    users.map(function (user) {
+                        return user.name;
+                    }).should.eql(['Who?', 'Kate']);
+
+                    return connection.raw('SELECT name FROM sqlite_master WHERE type="index" AND name="users_name";');
+                })
+                .then(function (indexes) {
+                    indexes.length.should.eql(1);
+                });
+        });
+    });
+});
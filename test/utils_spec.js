@@ -1,5 +1,11 @@
 var utils = require('../lib/utils');
+var errors = require('../lib/errors');
 var should = require('should');
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+var KnexMigrator = require('../lib');
+var sinon = require('sinon');
 
 describe('Utils', function () {
     describe('isGreaterThanVersion', function () {
@@ -71,6 +77,45 @@ describe('Utils', function () {
             }).should.eql(false);
         });
 
+        it('version has this notation: 1.10', function () {
+            utils.isGreaterThanVersion({
+                greaterVersion: '1.10',
+                smallerVersion: '1.9'
+            }).should.eql(true);
+
+            utils.isGreaterThanVersion({
+                greaterVersion: '2.0',
+                smallerVersion: '1.10'
+            }).should.eql(true);
+
+            utils.isGreaterThanVersion({
+                greaterVersion: '1.9',
+                smallerVersion: '1.10'
+            }).should.eql(false);
+        });
+
+        it('version has this notation: 2.0.0-beta.1', function () {
+            utils.isGreaterThanVersion({
+                greaterVersion: '2.0.0',
+                smallerVersion: '2.0.0-beta.1'
+            }).should.eql(true);
+
+            utils.isGreaterThanVersion({
+                greaterVersion: '2.0.0-beta.10',
+                smallerVersion: '2.0.0-beta.2'
+            }).should.eql(true);
+
+            utils.isGreaterThanVersion({
+                greaterVersion: '2.0.0-beta.1',
+                smallerVersion: '1.10'
+            }).should.eql(true);
+
+            utils.isGreaterThanVersion({
+                greaterVersion: '2.0.0-beta.1',
+                smallerVersion: '2.0.0'
+            }).should.eql(false);
+        });
+
         it('version has this notation: 1', function () {
             utils.isGreaterThanVersion({
                 greaterVersion: '1',
@@ -88,4 +133,586 @@ describe('Utils', function () {
             }).should.eql(false);
         });
     });
+
+    describe('compareVersions', function () {
+        it('missing segments count as 0', function () {
+            utils.compareVersions('1.1', '1.1.0').should.eql(0);
+            utils.compareVersions('1.1.1', '1.1').should.eql(1);
+            utils.compareVersions('1', '1.0.1').should.eql(-1);
+        });
+
+        it('pre-release identifiers', function () {
+            utils.compareVersions('2.0.0-alpha', '2.0.0-alpha.1').should.eql(-1);
+            utils.compareVersions('2.0.0-alpha.1', '2.0.0-alpha.beta').should.eql(-1);
+            utils.compareVersions('2.0.0-rc.1', '2.0.0-beta.11').should.eql(1);
+            utils.compareVersions('2.0.0-beta.1', '2.0.0-beta.1').should.eql(0);
+        });
+    });
+
+    describe('sortVersions', function () {
+        it('init first, versions ascending', function () {
+            utils.sortVersions(['1.10', '2.0.0', 'init', '1.2', '2.0.0-beta.1', '1.9'])
+                .should.eql(['init', '1.2', '1.9', '1.10', '2.0.0-beta.1', '2.0.0']);
+        });
+    });
+
+    describe('sortTasks', function () {
+        it('sorts by numeric prefix', function () {
+            utils.sortTasks({files: ['10-add-index.js', '2-create-table.js', 'no-prefix.js', '1-seed.js']})
+                .should.eql(['1-seed.js', '2-create-table.js', '10-add-index.js', 'no-prefix.js']);
+        });
+
+        it('duplicate prefix', function () {
+            try {
+                utils.sortTasks({files: ['1-create-table.js', '2-seed.js', '01-add-index.js']});
+                throw new Error('Expected error');
+            } catch (err) {
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('Migration scripts have the same prefix: 1-create-table.js, 01-add-index.js');
+            }
+        });
+
+        it('manifest defines the order', function () {
+            utils.sortTasks({files: ['1-a.js', '1-b.js', '2-c.js'], manifest: ['1-b.js', '2-c.js', '1-a.js']})
+                .should.eql(['1-b.js', '2-c.js', '1-a.js']);
+        });
+
+        it('manifest does not list all files', function () {
+            try {
+                utils.sortTasks({files: ['1-a.js', '2-b.js'], manifest: ['1-a.js']});
+                throw new Error('Expected error');
+            } catch (err) {
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('Migration script is not listed in manifest: 2-b.js');
+            }
+        });
+
+        it('manifest lists a file which does not exist', function () {
+            try {
+                utils.sortTasks({files: ['1-a.js'], manifest: ['1-a.js', '2-b.js']});
+                throw new Error('Expected error');
+            } catch (err) {
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('Migration script of manifest does not exist: 2-b.js');
+            }
+        });
+    });
+
+    describe('readTasks', function () {
+        var folder = path.join(os.tmpdir(), 'knex-migrator-read-tasks'),
+            files = ['10-add-index.js', '2-create-table.js', 'manifest.json'];
+
+        function removeFolder() {
+            files.forEach(function (file) {
+                if (fs.existsSync(path.join(folder, file))) {
+                    fs.unlinkSync(path.join(folder, file));
+                }
+            });
+
+            if (fs.existsSync(folder)) {
+                fs.rmdirSync(folder);
+            }
+        }
+
+        before(function () {
+            removeFolder();
+            fs.mkdirSync(folder);
+            fs.writeFileSync(path.join(folder, '10-add-index.js'), 'module.exports = function () {};');
+            fs.writeFileSync(path.join(folder, '2-create-table.js'), 'module.exports = function () {};');
+        });
+
+        after(removeFolder);
+
+        it('natural order', function () {
+            utils.readTasks(folder).map(function (task) {
+                return task.name;
+            }).should.eql(['2-create-table.js', '10-add-index.js']);
+        });
+
+        it('order of manifest', function () {
+            fs.writeFileSync(path.join(folder, 'manifest.json'), JSON.stringify(['10-add-index.js', '2-create-table.js']));
+
+            utils.readTasks(folder).map(function (task) {
+                return task.name;
+            }).should.eql(['10-add-index.js', '2-create-table.js']);
+        });
+    });
+
+    describe('readTasks: script types', function () {
+        var folder = path.join(os.tmpdir(), 'knex-migrator-script-types'),
+            files = {
+                '1-function.js': 'module.exports = function () { return "function"; };',
+                '2-default.js': 'exports.__esModule = true; exports.default = function () { return Promise.resolve("default"); };',
+                '3-typescript.es6': 'module.exports = function () { return "compiled"; };',
+                'README.md': '# Migrations',
+                'fixture.csv': 'id,name'
+            };
+
+        before(function () {
+            fs.mkdirSync(folder);
+
+            Object.keys(files).forEach(function (file) {
+                fs.writeFileSync(path.join(folder, file), files[file]);
+            });
+        });
+
+        after(function () {
+            Object.keys(files).forEach(function (file) {
+                fs.unlinkSync(path.join(folder, file));
+            });
+
+            fs.rmdirSync(folder);
+        });
+
+        it('ignores files with unknown extensions', function () {
+            utils.readTasks(folder).map(function (task) {
+                return task.name;
+            }).should.eql(['1-function.js', '2-default.js']);
+        });
+
+        it('executes functions and default exports', function () {
+            var tasks = utils.readTasks(folder);
+
+            tasks[0].execute().should.eql('function');
+
+            return tasks[1].execute()
+                .then(function (result) {
+                    result.should.eql('default');
+                });
+        });
+
+        it('registerCompiler', function () {
+            var extensions = utils.registerCompiler({
+                compiler: {
+                    extensions: ['.es6'],
+                    register: function () {
+                        require.extensions['.es6'] = require.extensions['.js'];
+                    }
+                }
+            });
+
+            extensions.should.eql(['.js', '.mjs', '.cjs', '.sql', '.es6']);
+
+            try {
+                utils.readTasks(folder, {extensions: extensions})[2].execute().should.eql('compiled');
+            } finally {
+                delete require.extensions['.es6'];
+            }
+        });
+
+        it('registerCompiler: module does not exist', function () {
+            try {
+                utils.registerCompiler({
+                    compiler: {extensions: ['.ts'], register: 'unknown-compiler/register'},
+                    basePath: folder
+                });
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.message.should.eql('Cannot register compiler: unknown-compiler/register');
+            }
+        });
+    });
+
+    describe('readTasks: ES modules', function () {
+        var folder = path.join(os.tmpdir(), 'knex-migrator-es-modules'),
+            files = {
+                '1-esm.mjs': 'export default async function (options) { return options.value; }',
+                '2-up-down.mjs': 'export const up = async () => "up"; export const down = async () => "down";',
+                '3-config.mjs': 'export const config = {transaction: false}; export default async function () {}'
+            };
+
+        before(function () {
+            fs.mkdirSync(folder);
+
+            Object.keys(files).forEach(function (file) {
+                fs.writeFileSync(path.join(folder, file), files[file]);
+            });
+        });
+
+        after(function () {
+            Object.keys(files).forEach(function (file) {
+                fs.unlinkSync(path.join(folder, file));
+            });
+
+            fs.rmdirSync(folder);
+        });
+
+        it('executes ES modules', function () {
+            if (!utils.canImportModules()) {
+                return this.skip();
+            }
+
+            var tasks = utils.readTasks(folder);
+
+            return tasks[0].execute({value: 'esm'})
+                .then(function (result) {
+                    result.should.eql('esm');
+                    return tasks[1].execute();
+                })
+                .then(function (result) {
+                    result.should.eql('up');
+                    return tasks[1].rollback();
+                })
+                .then(function (result) {
+                    result.should.eql('down');
+                    return tasks[0].rollback();
+                })
+                .then(function () {
+                    throw new Error('Expected error.');
+                })
+                .catch(function (err) {
+                    err.message.should.eql('Migration script does not export a down function.');
+                });
+        });
+
+        it('ES module exports a config', function () {
+            if (!utils.canImportModules()) {
+                return this.skip();
+            }
+
+            return utils.readTasks(folder)[2].execute()
+                .then(function () {
+                    throw new Error('Expected error.');
+                })
+                .catch(function (err) {
+                    err.message.should.eql('ES modules can\'t export a config, use a .js or .cjs file.');
+                });
+        });
+
+        it('node version does not support ES modules', function () {
+            var sandbox = sinon.sandbox.create();
+
+            sandbox.stub(utils, 'canImportModules').returns(false);
+
+            try {
+                utils.readTasks(folder);
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.MigrationScript).should.eql(true);
+                err.message.should.eql('ES modules need node 12.17 or higher.');
+            } finally {
+                sandbox.restore();
+            }
+        });
+    });
+
+    describe('readTasks: dialect variants', function () {
+        var folder = path.join(os.tmpdir(), 'knex-migrator-dialect-variants'),
+            files = {
+                '1-add-index.mysql.js': 'module.exports = function () { return "mysql"; };',
+                '1-add-index.sqlite3.js': 'module.exports = function () { return "sqlite3"; };',
+                '2-charset.mysql.sql': 'ALTER TABLE users CONVERT TO CHARACTER SET utf8mb4;',
+                '3-seed.js': 'module.exports = function () { return "all"; };',
+                '3-seed.pg.js': 'module.exports = function () { return "pg"; };',
+                '4-engine.js': 'module.exports = function () { return "mysql only"; }; module.exports.dialects = ["mysql"];',
+                '5-add.users.js': 'module.exports = function () { return "users"; };'
+            };
+
+        before(function () {
+            fs.mkdirSync(folder);
+
+            Object.keys(files).forEach(function (file) {
+                fs.writeFileSync(path.join(folder, file), files[file]);
+            });
+        });
+
+        after(function () {
+            Object.keys(files).forEach(function (file) {
+                fs.unlinkSync(path.join(folder, file));
+            });
+
+            fs.rmdirSync(folder);
+        });
+
+        it('getVariants', function () {
+            utils.getVariants(['1-a.mysql.js', '1-a.sqlite3.js', '2-b.js', '2-b.sqlite3.js', '3-c.custom.js'], 'custom').should.eql({
+                '1-a.js': {file: null, variants: ['1-a.mysql.js', '1-a.sqlite3.js']},
+                '2-b.js': {file: '2-b.js', variants: ['2-b.sqlite3.js']},
+                '3-c.js': {file: '3-c.custom.js', variants: ['3-c.custom.js']}
+            });
+        });
+
+        it('getVariants: client aliases', function () {
+            utils.getVariants(['1-a.mysql.js', '1-a.pg.js'], 'mysql2')['1-a.js'].file.should.eql('1-a.mysql.js');
+            utils.getVariants(['1-a.mysql.js', '1-a.pg.js'], 'postgresql')['1-a.js'].file.should.eql('1-a.pg.js');
+            utils.getVariants(['1-a.mysql.js', '1-a.postgres.js'], 'pg')['1-a.js'].file.should.eql('1-a.postgres.js');
+        });
+
+        it('executes the variant of a client alias', function () {
+            var tasks = utils.readTasks(folder, {dialect: 'mysql2'});
+
+            tasks[0].execute({dialect: 'mysql2'}).should.eql('mysql');
+            tasks[3].execute({dialect: 'mysql2'}).should.eql('mysql only');
+        });
+
+        it('tasks are recorded under the base name for every dialect', function () {
+            ['mysql', 'sqlite3', 'pg'].forEach(function (dialect) {
+                utils.readTasks(folder, {dialect: dialect}).map(function (task) {
+                    return task.name;
+                }).should.eql(['1-add-index.js', '2-charset.sql', '3-seed.js', '4-engine.js', '5-add.users.js']);
+            });
+        });
+
+        it('executes the variant of the dialect', function () {
+            var mysqlTasks = utils.readTasks(folder, {dialect: 'mysql'}),
+                sqliteTasks = utils.readTasks(folder, {dialect: 'sqlite3'}),
+                pgTasks = utils.readTasks(folder, {dialect: 'pg'});
+
+            mysqlTasks[0].execute({dialect: 'mysql'}).should.eql('mysql');
+            sqliteTasks[0].execute({dialect: 'sqlite3'}).should.eql('sqlite3');
+            sqliteTasks[2].execute({dialect: 'sqlite3'}).should.eql('all');
+            pgTasks[2].execute({dialect: 'pg'}).should.eql('pg');
+            mysqlTasks[3].execute({dialect: 'mysql'}).should.eql('mysql only');
+
+            return Promise.all([
+                pgTasks[0].execute({dialect: 'pg'}),
+                sqliteTasks[1].execute({dialect: 'sqlite3'}),
+                sqliteTasks[3].execute({dialect: 'sqlite3'})
+            ]).then(function (results) {
+                results.should.eql([undefined, undefined, undefined]);
+            });
+        });
+    });
+
+    describe('getExitCode', function () {
+        it('success', function () {
+            utils.getExitCode().should.eql(0);
+        });
+
+        it('error types', function () {
+            utils.getExitCode(new errors.ConfigValidationError()).should.eql(2);
+            utils.getExitCode(new errors.DatabaseIsNotOkError({code: 'DB_NOT_INITIALISED'})).should.eql(3);
+            utils.getExitCode(new errors.DatabaseIsNotOkError({code: 'MIGRATION_TABLE_IS_MISSING'})).should.eql(3);
+            utils.getExitCode(new errors.DatabaseIsNotOkError({code: 'DB_NEEDS_MIGRATION'})).should.eql(4);
+            utils.getExitCode(new errors.DatabaseIsNotOkError({code: 'MIGRATION_CHECKSUM_MISMATCH'})).should.eql(5);
+            utils.getExitCode(new errors.MigrationsAreLockedError()).should.eql(6);
+            utils.getExitCode(new errors.MigrationScript()).should.eql(7);
+            utils.getExitCode(new Error('unknown')).should.eql(1);
+        });
+    });
+
+    describe('CLI output', function () {
+        var sandbox = sinon.sandbox.create(),
+            exitCode = process.exitCode,
+            logging;
+
+        beforeEach(function () {
+            logging = {
+                info: sandbox.stub(),
+                error: sandbox.stub()
+            };
+
+            sandbox.stub(console, 'log');
+        });
+
+        afterEach(function () {
+            sandbox.restore();
+            process.exitCode = exitCode;
+        });
+
+        it('success', function () {
+            utils.onCLISuccess({program: {}, logging: logging, result: {healthy: true}, message: 'Healthy'});
+
+            logging.info.calledWith('Healthy').should.eql(true);
+            console.log.called.should.eql(false);
+            process.exitCode.should.eql(0);
+        });
+
+        it('success with --json', function () {
+            utils.onCLISuccess({program: {json: true}, logging: logging, result: {healthy: true}, message: 'Healthy'});
+
+            logging.info.called.should.eql(false);
+            JSON.parse(console.log.args[0][0]).should.eql({ok: true, result: {healthy: true}});
+        });
+
+        it('error with --json', function () {
+            utils.onCLIError({
+                program: {json: true},
+                logging: logging,
+                err: new errors.DatabaseIsNotOkError({message: 'Migrations are missing', code: 'DB_NEEDS_MIGRATION'})
+            });
+
+            var output = JSON.parse(console.log.args[0][0]);
+
+            output.ok.should.eql(false);
+            output.error.code.should.eql('DB_NEEDS_MIGRATION');
+            output.error.errorType.should.eql('DatabaseIsNotOkError');
+            output.error.message.should.eql('Migrations are missing');
+            output.error.exitCode.should.eql(4);
+            process.exitCode.should.eql(4);
+        });
+
+        it('error', function () {
+            var err = new errors.MigrationsAreLockedError();
+
+            utils.onCLIError({program: {}, logging: logging, err: err});
+
+            logging.error.calledWith(err).should.eql(true);
+            process.exitCode.should.eql(6);
+        });
+    });
+
+    describe('confirm', function () {
+        var stream = require('stream');
+
+        function ask(answer) {
+            var input = new stream.PassThrough(),
+                output = new stream.PassThrough(),
+                confirmed = utils.confirm({question: 'Continue?', input: input, output: output});
+
+            input.end(answer + '\n');
+            return confirmed;
+        }
+
+        it('--yes', function () {
+            return utils.confirm({yes: true, question: 'Continue?'})
+                .then(function (confirmed) {
+                    confirmed.should.eql(true);
+                });
+        });
+
+        it('answers', function () {
+            return ask('y')
+                .then(function (confirmed) {
+                    confirmed.should.eql(true);
+                    return ask('YES');
+                })
+                .then(function (confirmed) {
+                    confirmed.should.eql(true);
+                    return ask('');
+                })
+                .then(function (confirmed) {
+                    confirmed.should.eql(false);
+                    return ask('no');
+                })
+                .then(function (confirmed) {
+                    confirmed.should.eql(false);
+                });
+        });
+    });
+
+    describe('isValidVersion', function () {
+        it('valid versions', function () {
+            utils.isValidVersion('1').should.eql(true);
+            utils.isValidVersion('1.0').should.eql(true);
+            utils.isValidVersion('1.10.2').should.eql(true);
+            utils.isValidVersion('v1.1').should.eql(true);
+            utils.isValidVersion('2.0.0-beta.1').should.eql(true);
+        });
+
+        it('invalid versions', function () {
+            utils.isValidVersion('latest').should.eql(false);
+            utils.isValidVersion('1.').should.eql(false);
+            utils.isValidVersion('').should.eql(false);
+        });
+    });
+
+    describe('parseVersionFolder', function () {
+        it('parses the version of a folder name', function () {
+            utils.parseVersionFolder('1.1').should.eql('1.1');
+            utils.parseVersionFolder('1.1-members').should.eql('1.1');
+            utils.parseVersionFolder('2.0-payments').should.eql('2.0');
+            utils.parseVersionFolder('1.1-preview').should.eql('1.1');
+            utils.parseVersionFolder('2.0-development').should.eql('2.0');
+            utils.parseVersionFolder('2.0.0-beta.1').should.eql('2.0.0-beta.1');
+            utils.parseVersionFolder('2.0.0-rc').should.eql('2.0.0-rc');
+            should.not.exist(utils.parseVersionFolder('.DS_Store'));
+        });
+    });
+
+    describe('getLegacyVersion', function () {
+        it('returns the version, which older versions have recorded', function () {
+            utils.getLegacyVersion('1.1').should.eql('1.1');
+            utils.getLegacyVersion('2.0.0-beta.1').should.eql('2.0.0');
+        });
+    });
+
+    describe('getCLIOptions', function () {
+        var cwd = process.cwd(),
+            configFolder = path.join(os.tmpdir(), 'knex-migrator-cli'),
+            jsonConfigPath = path.join(configFolder, 'migrator.json'),
+            jsConfigPath = path.join(configFolder, 'MigratorConfig.js');
+
+        before(function () {
+            if (!fs.existsSync(configFolder)) {
+                fs.mkdirSync(configFolder);
+            }
+
+            fs.writeFileSync(jsonConfigPath, JSON.stringify({
+                database: {client: 'sqlite3', connection: {filename: 'json.db'}},
+                migrationPath: path.join(__dirname, 'assets/migrations'),
+                currentVersion: '1.0'
+            }));
+
+            fs.writeFileSync(jsConfigPath, '' +
+                'module.exports = {' +
+                '  database: {client: "sqlite3", connection: {filename: "js.db"}},' +
+                '  migrationPath: ' + JSON.stringify(path.join(__dirname, 'assets/migrations')) + ',' +
+                '  currentVersion: "1.1"' +
+                '};');
+        });
+
+        afterEach(function () {
+            process.chdir(cwd);
+        });
+
+        after(function () {
+            fs.unlinkSync(jsonConfigPath);
+            fs.unlinkSync(jsConfigPath);
+            fs.rmdirSync(configFolder);
+        });
+
+        it('defaults to the working directory', function () {
+            utils.getCLIOptions({args: []}).should.eql({knexMigratorFilePath: cwd, env: undefined});
+        });
+
+        it('--config with json file', function () {
+            var options = utils.getCLIOptions({config: jsonConfigPath, args: []});
+
+            options.knexMigratorFilePath.should.eql(jsonConfigPath);
+            new KnexMigrator(options).dbConfig.connection.filename.should.eql('json.db');
+        });
+
+        it('[config] argument', function () {
+            var options = utils.getCLIOptions({args: [jsConfigPath]});
+
+            options.knexMigratorFilePath.should.eql(jsConfigPath);
+            new KnexMigrator(options).currentVersion.should.eql('1.1');
+        });
+
+        it('--cwd', function () {
+            var options = utils.getCLIOptions({cwd: configFolder, args: []});
+
+            fs.realpathSync(process.cwd()).should.eql(fs.realpathSync(configFolder));
+            new KnexMigrator(options).currentVersion.should.eql('1.1');
+        });
+
+        it('--cwd and relative --config', function () {
+            var options = utils.getCLIOptions({cwd: configFolder, config: 'migrator.json', args: []});
+
+            options.knexMigratorFilePath.should.eql(path.join(process.cwd(), 'migrator.json'));
+            new KnexMigrator(options).currentVersion.should.eql('1.0');
+        });
+
+        it('--cwd does not exist', function () {
+            try {
+                utils.getCLIOptions({cwd: path.join(configFolder, 'unknown'), args: []});
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.message.should.match(/Cannot change working directory/);
+            }
+        });
+
+        it('config file does not exist', function () {
+            try {
+                new KnexMigrator({knexMigratorFilePath: path.join(configFolder, 'unknown.js')});
+                throw new Error('Expected error.');
+            } catch (err) {
+                (err instanceof errors.KnexMigrateError).should.eql(true);
+                err.context.should.eql('Cannot find config file: ' + path.join(configFolder, 'unknown.js'));
+            }
+        });
+    });
 });
\ No newline at end of file